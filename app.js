@@ -8,24 +8,117 @@ class MissionControl {
     this.filteredTasks = [];
     this.saveTimeout = null;
     this.searchTimeout = null;
+    this.dirty = false;
+    this.baseTasks = new Map(); // Task JSON as last seen on the server, for three-way merges
+    this.openTaskId = null;
+    this.events = null;
+    this.pollInterval = null;
+    this.reconnectDelay = 1000;
+    this.outbox = JSON.parse(localStorage.getItem('missionControlOutbox') || '[]'); // Pending API mutations
+    this.flushing = false;
+    this.retryTimeout = null;
+    this.pendingImport = null;
+    this.retryDelay = 2000;
+    this.user = null; // Signed-in account: { id, username, name, role, assignee, feedToken }
+    this.users = [];
+    this.comments = []; // Comments on the open task
+    this.replyTo = null; // Thread the comment box replies to
+    this.editingCommentId = null;
+    this.notifications = [];
+    this.unreadCount = 0;
+    this.expandedTasks = new Set(); // List rows showing their checklist
+    this.collapsedGroups = new Set(); // List groups folded away, as `${groupBy}:${key}`
+    this.collapsedLanes = new Set(); // Kanban swimlanes folded away, as `${swimlanes}:${key}`
+    this.workflowDraft = null; // Settings → Workflows being edited: { workflows, projectWorkflows }
+    this.overviewProjectId = null; // Project shown in the overview (#project=<id>)
+    this.projectProgress = null; // Its completion history: { projectId, points } or { projectId, error }
+    this.LIST_COLUMNS = ['priority', 'title', 'project', 'assignee', 'status', 'deadline', 'progress']; // Default List columns
+    this.undoStack = []; // { label, undo(), redo() } for each user action
+    this.redoStack = [];
+    this.trash = [];
+    this.toastTimeout = null;
+    this.TRASH_DAYS = 30;
+    this.TAG_COLORS = ['#007aff', '#34c759', '#ff9500', '#af52de', '#ff2d55', '#5ac8fa', '#ffcc00', '#8e8e93']; // For tags without a color in settings
+    this.tagFilter = new Set(); // Tags picked in the tag filter; tasks need any one of them
+    this.newTaskTags = []; // Tags in the new-task modal
+    this.activeViewId = null; // Saved view the filters currently match
+    this.commands = []; // Command palette entries, see registerCommand
+    this.commandSources = []; // Functions returning palette entries built from current data
+    this.paletteResults = [];
+    this.paletteIndex = 0;
+    this.selectedTasks = new Set(); // Ids picked for bulk edits (List checkboxes, Shift/Cmd-click on cards)
+    this.lastTaskStamp = 0;
     this.API_BASE = '/api';
     this.init();
   }
 
   async init() {
+    if (!(await this.loadSession())) return;
     await this.loadData();
     this.setupEventListeners();
+    this.setupCommands();
     this.applySettings();
     this.render();
+    this.renderPinnedViews();
+    this.openViewFromHash();
     this.startAutoSave();
+    this.connectEvents();
+    this.loadNotifications();
+    this.updateSyncStatus();
+    this.flushOutbox();
+  }
+
+  // Find out who is signed in and send everyone else to the login page.
+  // Offline, the last signed-in user is reused so cached data stays usable.
+  async loadSession() {
+    try {
+      const response = await fetch(`${this.API_BASE}/auth/session`);
+      const session = await response.json();
+      if (!session.user) {
+        this.redirectToLogin();
+        return false;
+      }
+      this.user = session.user;
+      localStorage.setItem('missionControlUser', JSON.stringify(this.user));
+    } catch (error) {
+      this.user = JSON.parse(localStorage.getItem('missionControlUser') || 'null');
+    }
+    document.body.classList.toggle('is-admin', this.isAdmin());
+    return true;
+  }
+
+  isAdmin() {
+    return !!this.user && this.user.role === 'admin';
+  }
+
+  redirectToLogin() {
+    window.location.href = 'login.html';
+  }
+
+  async logout() {
+    if (this.outbox.length && !confirm('Some changes haven\'t synced yet and will be lost. Sign out anyway?')) return;
+    try {
+      await fetch(`${this.API_BASE}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+      this.showToast('❌ Cannot sign out while offline');
+      return;
+    }
+    // Don't leave this account's data behind for the next person
+    ['missionControlUser', 'missionControlData', 'missionControlOutbox'].forEach(key => localStorage.removeItem(key));
+    this.redirectToLogin();
   }
 
   // Enhanced data loading with better error handling
-  async loadData() {
+  async loadData(silent = false) {
     try {
       const response = await fetch(`${this.API_BASE}/data`);
+      if (response.status === 401) this.redirectToLogin();
       if (!response.ok) throw new Error('Failed to load data');
       this.data = await response.json();
+      this.data.meta.revision = this.data.meta.revision || 0;
+      this.rememberSynced(this.data.tasks, true);
+      // Keep edits that haven't reached the server yet on top of the fresh copy
+      this.applyOutboxLocally();
       this.filteredTasks = this.data.tasks;
       this.updateStats();
       console.log('✓ Data loaded successfully');
@@ -35,36 +128,51 @@ class MissionControl {
       const backup = localStorage.getItem('missionControlData');
       if (backup) {
         this.data = JSON.parse(backup);
+        this.data.projects = TaskSchema.upgradeProjects(this.data.projects);
         this.filteredTasks = this.data.tasks;
-        this.showToast('⚠️ Using offline data');
-      } else {
+        if (!silent) this.showToast('⚠️ Using offline data');
+      } else if (!silent) {
         this.showToast('❌ Failed to load data');
       }
     }
   }
 
-  // Debounced save with optimistic UI updates
+  // Debounced save of the shared settings (tasks, projects and assignees have their own routes)
   async saveData(immediate = false) {
     if (this.saveTimeout) clearTimeout(this.saveTimeout);
+    this.dirty = true;
     
     // Always save to localStorage immediately
-    localStorage.setItem('missionControlData', JSON.stringify(this.data));
+    this.cacheLocally();
     
     const doSave = async () => {
       try {
-        document.getElementById('toast').textContent = '💾 Saving...';
-        document.getElementById('toast').classList.remove('hidden');
+        this.showToast('💾 Saving...');
+        
+        // Queued task changes go first so the document doesn't race them
+        await this.flushOutbox();
+        if (this.outbox.length) throw new Error('Offline changes still pending');
         
         const response = await fetch(`${this.API_BASE}/data`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(this.data)
+          headers: {
+            'Content-Type': 'application/json',
+            'If-Match': `"${this.data.meta.revision}"`
+          },
+          body: JSON.stringify({ settings: this.data.settings })
         });
         
+        // Someone else saved since we loaded: take their copy and try again
+        if (response.status === 409) {
+          await this.resolveConflicts();
+          return doSave();
+        }
         if (!response.ok) throw new Error('Save failed');
         
         const result = await response.json();
         this.data.meta.lastSync = result.lastSync;
+        this.data.meta.revision = result.revision;
+        this.dirty = false;
         this.showToast('✓ Saved');
       } catch (error) {
         console.error('Save error:', error);
@@ -79,13 +187,578 @@ class MissionControl {
     }
   }
 
-  // Auto-save every 30 seconds
+  // Auto-save every 30 seconds, only when there are unsaved document changes
   startAutoSave() {
     setInterval(() => {
-      if (this.data) this.saveData(true);
+      if (this.data && this.dirty) this.saveData(true);
     }, 30000);
   }
 
+  // Live updates from other users via Server-Sent Events. EventSource retries on its own;
+  // while the stream is down we poll loadData so the board doesn't go stale.
+  connectEvents() {
+    if (!window.EventSource) {
+      this.startPolling();
+      return;
+    }
+    
+    this.events = new EventSource(`${this.API_BASE}/events`);
+    
+    this.events.addEventListener('open', () => {
+      this.flushOutbox();
+      if (this.pollInterval) {
+        // Catch up on anything missed while disconnected
+        this.stopPolling();
+        this.refresh();
+      }
+      this.reconnectDelay = 1000;
+    });
+    
+    this.events.addEventListener('error', () => {
+      this.startPolling();
+      if (this.events.readyState === EventSource.CLOSED) {
+        // The browser gave up (e.g. server returned an error): reconnect ourselves with backoff
+        this.events = null;
+        setTimeout(() => this.connectEvents(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, 60000);
+      }
+    });
+    
+    const handlers = {
+      'task.created': (payload) => this.applyRemoteTask(payload.task),
+      'task.updated': (payload) => this.applyRemoteTask(payload.task),
+      'task.deleted': (payload) => this.applyRemoteDelete(payload.id),
+      'projects.updated': (payload) => this.applyProjects(payload),
+      'assignees.updated': (payload) => { this.data.assignees = payload.assignees; this.populateFilters(); },
+      'workflows.updated': (payload) => this.applyWorkflows(payload),
+      'data.replaced': (payload) => {
+        if (payload.revision !== this.data.meta.revision) this.refresh();
+      },
+      'comment.created': (payload) => this.refreshComments(payload.comment.taskId),
+      'comment.updated': (payload) => this.refreshComments(payload.comment.taskId),
+      'comment.deleted': (payload) => this.refreshComments(payload.taskId),
+      'notifications.updated': (payload) => {
+        if (this.user && payload.assignees.includes(this.user.assignee)) this.loadNotifications();
+      }
+    };
+    
+    Object.entries(handlers).forEach(([type, handler]) => {
+      this.events.addEventListener(type, (e) => {
+        if (!this.data) return;
+        const payload = JSON.parse(e.data);
+        handler(payload);
+        this.trackEventRevision(payload.revision);
+        this.cacheLocally();
+      });
+    });
+  }
+
+  startPolling() {
+    if (this.pollInterval) return;
+    this.pollInterval = setInterval(() => this.refresh(), 15000);
+  }
+
+  stopPolling() {
+    clearInterval(this.pollInterval);
+    this.pollInterval = null;
+  }
+
+  // Reload everything from the server, keeping the current view, filters and sidebar
+  async refresh() {
+    await this.loadData(true);
+    this.populateFilters();
+    this.renderPinnedViews();
+    this.applyFilters();
+    this.refreshSidebar();
+  }
+
+  applyRemoteTask(remote) {
+    const task = this.data.tasks.find(t => t.id === remote.id);
+    if (task) Object.assign(task, remote);
+    else this.data.tasks.push(remote);
+    this.rememberSynced([remote]);
+    this.applyOutboxLocally(remote.id);
+    this.updateStats();
+    this.applyFilters();
+    this.refreshSidebar();
+  }
+
+  applyRemoteDelete(taskId) {
+    this.data.tasks = this.data.tasks.filter(t => t.id !== taskId);
+    this.baseTasks.delete(taskId);
+    this.updateStats();
+    this.applyFilters();
+    this.refreshSidebar();
+  }
+
+  trackEventRevision(revision) {
+    if (revision === this.data.meta.revision + 1) this.data.meta.revision = revision;
+  }
+
+  // Re-render the open task unless the user is typing in it
+  refreshSidebar() {
+    if (!this.openTaskId) return;
+    const task = this.data.tasks.find(t => t.id === this.openTaskId);
+    if (!task) {
+      this.closeSidebar();
+      this.showToast('⚠️ Task was deleted by someone else');
+      return;
+    }
+    if (document.getElementById('taskSidebar').contains(document.activeElement)) return;
+    this.openTaskDetail(task.id);
+  }
+
+  cacheLocally() {
+    localStorage.setItem('missionControlData', JSON.stringify(this.data));
+  }
+
+  // JSON request against the REST API; rejects with `status` set for HTTP errors.
+  // Pass a contentType to send a string body as-is (e.g. CSV).
+  async api(method, path, body, contentType = 'application/json') {
+    const options = { method, headers: {} };
+    if (body !== undefined) {
+      options.headers['Content-Type'] = contentType;
+      options.body = contentType === 'application/json' ? JSON.stringify(body) : body;
+    }
+    
+    const response = await fetch(`${this.API_BASE}${path}`, options);
+    if (response.status === 401) this.redirectToLogin();
+    this.trackRevision(response);
+    const result = response.status === 204 ? null : await response.json();
+    if (!response.ok) {
+      const error = new Error(result && result.error ? result.error : 'Request failed');
+      error.status = response.status;
+      error.details = result && result.details;
+      throw error;
+    }
+    return result;
+  }
+
+  // Send a task/project/assignee change after the optimistic local update.
+  // Validation errors roll back to the server copy; network errors keep the local copy.
+  // Changes made while offline (or while older ones are still queued) go to the outbox.
+  async sync(method, path, body) {
+    this.cacheLocally();
+    if (this.outbox.length) {
+      this.enqueue(method, path, body);
+      this.flushOutbox();
+      return null;
+    }
+    try {
+      const result = await this.api(method, path, body);
+      this.applySyncResult(method, path, result);
+      return result;
+    } catch (error) {
+      console.error('Sync error:', error);
+      if (error.status) {
+        this.showToast(`❌ ${error.details ? error.details.join(', ') : error.message}`);
+        await this.loadData();
+        this.applyFilters();
+      } else {
+        this.enqueue(method, path, body);
+        this.scheduleRetry();
+        this.showToast('⚠️ Offline - change queued');
+      }
+      return null;
+    }
+  }
+
+  applySyncResult(method, path, result) {
+    if (result && result.id) {
+      const task = this.data.tasks.find(t => t.id === result.id);
+      if (task) Object.assign(task, result);
+      this.rememberSynced([result]);
+      this.cacheLocally();
+    } else if (result && path === '/tasks/batch') {
+      result.tasks.forEach(saved => {
+        const task = this.data.tasks.find(t => t.id === saved.id);
+        if (task) Object.assign(task, saved);
+      });
+      this.rememberSynced(result.tasks);
+      result.deleted.forEach(id => this.baseTasks.delete(id));
+      this.cacheLocally();
+    } else if (method === 'DELETE' && path.startsWith('/tasks/')) {
+      this.baseTasks.delete(this.taskIdFromPath(path));
+    }
+  }
+
+  taskIdFromPath(path) {
+    const match = path.match(/^\/tasks\/([^/]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  // Add a mutation to the persisted outbox. Edits to the same task are folded together, and
+  // PATCHes remember the server copy they were based on so replay can detect conflicts.
+  enqueue(method, path, body) {
+    const last = this.outbox[this.outbox.length - 1];
+    if (method === 'PATCH' && last && last.method === 'PATCH' && last.path === path) {
+      Object.assign(last.body, body);
+    } else {
+      const taskId = this.taskIdFromPath(path);
+      this.outbox.push({
+        method,
+        path,
+        body,
+        base: method === 'PATCH' && taskId ? this.baseTasks.get(taskId) || null : null,
+        queuedAt: new Date().toISOString()
+      });
+    }
+    this.saveOutbox();
+  }
+
+  saveOutbox() {
+    localStorage.setItem('missionControlOutbox', JSON.stringify(this.outbox));
+    this.updateSyncStatus();
+  }
+
+  updateSyncStatus() {
+    const status = document.getElementById('syncStatus');
+    const count = this.outbox.length;
+    status.classList.toggle('hidden', count === 0);
+    status.textContent = `⏳ ${count} change${count === 1 ? '' : 's'} pending`;
+  }
+
+  scheduleRetry() {
+    if (this.retryTimeout) return;
+    this.retryTimeout = setTimeout(() => {
+      this.retryTimeout = null;
+      this.flushOutbox();
+    }, this.retryDelay);
+    this.retryDelay = Math.min(this.retryDelay * 2, 60000);
+  }
+
+  // Replay queued mutations in order. Network failures stop the replay and back off;
+  // mutations the server rejects (task deleted meanwhile, invalid data) are dropped.
+  async flushOutbox() {
+    if (this.flushing || !this.outbox.length) return;
+    this.flushing = true;
+    let dropped = 0;
+    
+    try {
+      while (this.outbox.length) {
+        const entry = this.outbox[0];
+        try {
+          const body = await this.reconcileEntry(entry);
+          if (body) {
+            const result = await this.api(entry.method, entry.path, body);
+            this.applySyncResult(entry.method, entry.path, result);
+          }
+        } catch (error) {
+          if (!error.status) {
+            this.scheduleRetry();
+            return;
+          }
+          console.error('Dropped queued change:', entry, error);
+          dropped++;
+        }
+        this.outbox.shift();
+        this.saveOutbox();
+        // Our edit lost to theirs: show the server copy now that the entry is gone
+        if (entry.discardedFor) this.applyRemoteTask(entry.discardedFor);
+      }
+      
+      this.retryDelay = 2000;
+      if (dropped) {
+        await this.refresh();
+        this.showToast(`⚠️ Synced, ${dropped} change${dropped === 1 ? ' was' : 's were'} rejected`);
+      } else {
+        this.showToast('✓ Offline changes synced');
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  // Compare a queued PATCH with the current server copy. Fields nobody else touched are sent
+  // as-is; fields changed on both sides go to the conflict dialog. Returns the body to send,
+  // or null to skip the entry.
+  async reconcileEntry(entry) {
+    if (entry.method !== 'PATCH' || !entry.base) return entry.body || {};
+    
+    const taskId = this.taskIdFromPath(entry.path);
+    const server = await this.api('GET', entry.path);
+    const base = JSON.parse(entry.base);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const contested = Object.keys(entry.body).filter(f =>
+      !same(server[f], base[f]) && !same(server[f], entry.body[f])
+    );
+    if (!contested.length) return entry.body;
+    
+    const choices = await this.showConflictDialog([{ id: taskId, mine: { ...server, ...entry.body }, theirs: server }]);
+    if (choices[taskId] === 'mine') return entry.body;
+    
+    // Keep their values for the contested fields but still send our other edits
+    const body = { ...entry.body };
+    contested.forEach(f => delete body[f]);
+    if (Object.keys(body).length) return body;
+    entry.discardedFor = server;
+    return null;
+  }
+
+  // Replay queued mutations on this.data (e.g. after loading a fresh server copy).
+  // With `taskId`, only that task's pending edits are replayed.
+  applyOutboxLocally(taskId = null) {
+    this.outbox.forEach(({ method, path, body }) => {
+      if (path === '/tasks/batch') {
+        body.operations.filter(op => !taskId || op.id === taskId).forEach(op => this.applyOperationLocally(op));
+        return;
+      }
+      const id = this.taskIdFromPath(path);
+      if (taskId && id !== taskId) return;
+      
+      if (path === '/tasks' && method === 'POST') {
+        if (!this.data.tasks.some(t => t.id === body.id)) this.data.tasks.push({ ...body });
+      } else if (id && method === 'PATCH') {
+        const task = this.data.tasks.find(t => t.id === id);
+        if (task) Object.assign(task, body);
+      } else if (id && method === 'DELETE') {
+        this.data.tasks = this.data.tasks.filter(t => t.id !== id);
+      } else if (method === 'POST' && path.startsWith('/trash/')) {
+        if (!taskId && !this.data.tasks.some(t => t.id === body.id)) this.data.tasks.push({ ...body });
+      } else if (!taskId) {
+        // Projects are written online only (see createProject), so assignees are the only list queued here
+        const [, key, name] = path.split('/');
+        if (key !== 'assignees') return;
+        if (method === 'POST' && !this.data.assignees.includes(body.name)) this.data.assignees.push(body.name);
+        if (method === 'DELETE') this.data.assignees = this.data.assignees.filter(n => n !== decodeURIComponent(name));
+      }
+    });
+  }
+
+  // Adopt the server revision from an ETag only if our own write was the sole change since we
+  // last synced; otherwise keep the stale revision so the next settings save reloads first.
+  trackRevision(response) {
+    const etag = response.headers.get('ETag');
+    if (!etag || !this.data || !this.data.meta) return;
+    const revision = parseInt(etag.replace(/^W\//, '').replace(/"/g, ''), 10);
+    if (revision === this.data.meta.revision + 1) this.data.meta.revision = revision;
+  }
+
+  rememberSynced(tasks, reset = false) {
+    if (reset) this.baseTasks.clear();
+    tasks.forEach(t => this.baseTasks.set(t.id, JSON.stringify(t)));
+  }
+
+  // Reload the server copy after a 409. Task changes reach the server through the outbox before
+  // a settings save, so the server's tasks are current; only our settings are kept on top.
+  async resolveConflicts() {
+    const response = await fetch(`${this.API_BASE}/data`, { cache: 'no-store' });
+    if (!response.ok) throw new Error('Failed to load server copy');
+    const server = await response.json();
+    
+    const { workflows, projectWorkflows } = server.settings;
+    this.data = { ...server, settings: { ...this.data.settings, workflows, projectWorkflows } };
+    this.rememberSynced(server.tasks, true);
+    this.applyOutboxLocally();
+    this.cacheLocally();
+    this.updateStats();
+    this.applyFilters();
+    this.showToast('✓ Merged changes from others');
+  }
+
+  // Ask which version to keep for each conflicting task; resolves to { [taskId]: 'mine' | 'theirs' }
+  showConflictDialog(conflicts) {
+    const fields = ['title', 'status', 'priority', 'assignee', 'project', 'deadline', 'progress', 'checklist', 'blockedBy', 'recurrence', 'nextAction', 'notes'];
+    const show = (task, f) => {
+      if (f === 'checklist') return this.checklistSummary(task);
+      if (f === 'recurrence') return this.describeRecurrence(task.recurrence);
+      return task[f] ?? '-';
+    };
+    const list = document.getElementById('conflictList');
+    
+    list.innerHTML = conflicts.map(({ id, mine, theirs }) => {
+      const title = (mine || theirs).title;
+      const rows = !mine || !theirs ?
+        `<tr><td colspan="3">${mine ? 'Deleted by someone else' : 'Deleted by you'}</td></tr>` :
+        fields.filter(f => JSON.stringify(mine[f]) !== JSON.stringify(theirs[f])).map(f => `
+          <tr><td>${f}</td><td>${this.escapeHtml(show(mine, f))}</td><td>${this.escapeHtml(show(theirs, f))}</td></tr>
+        `).join('');
+      return `
+        <div class="conflict-item">
+          <div class="conflict-title">${this.escapeHtml(title)}</div>
+          <table class="conflict-table">
+            <thead><tr><th>Field</th><th>Mine</th><th>Theirs</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+          <div class="conflict-choice">
+            <label><input type="radio" name="conflict-${id}" value="mine" checked> Keep mine</label>
+            <label><input type="radio" name="conflict-${id}" value="theirs"> Keep theirs</label>
+          </div>
+        </div>
+      `;
+    }).join('');
+    
+    document.getElementById('conflictModal').classList.remove('hidden');
+    return new Promise(resolve => {
+      document.getElementById('applyConflicts').onclick = () => {
+        const choices = {};
+        conflicts.forEach(({ id }) => {
+          choices[id] = list.querySelector(`input[name="conflict-${id}"]:checked`).value;
+        });
+        this.closeModal('conflictModal');
+        resolve(choices);
+      };
+    });
+  }
+
+  updateTask(task, changes) {
+    Object.assign(task, changes, { updatedAt: new Date().toISOString() });
+    return this.sync('PATCH', `/tasks/${encodeURIComponent(task.id)}`, changes);
+  }
+
+  // updateTask as a user action, recorded so it can be undone
+  editTask(task, changes, label = 'edit') {
+    const taskId = task.id;
+    // Completing a recurring task hands its rule on to the next occurrence
+    const next = this.completes(task, changes) ? this.buildNextOccurrence(task) : null;
+    if (next) changes = { ...changes, recurrence: null };
+    const before = {};
+    Object.keys(changes).forEach(field => { before[field] = task[field]; });
+    
+    if (!next) {
+      this.record(label, () => this.setTaskFields(taskId, before), () => this.setTaskFields(taskId, changes));
+      return this.updateTask(task, changes);
+    }
+    this.record(label, () => {
+      this.trashTask(next.id);
+      this.setTaskFields(taskId, before);
+    }, () => {
+      this.setTaskFields(taskId, changes);
+      this.restoreTask(next);
+    });
+    const result = this.updateTask(task, changes);
+    this.data.tasks.push(next);
+    this.sync('POST', '/tasks', next);
+    return result;
+  }
+
+  // The task that follows a recurring task once it is done, or null when the series has ended
+  buildNextOccurrence(task) {
+    if (!task.recurrence) return null;
+    const deadline = TaskSchema.nextOccurrence(task.recurrence, task.deadline || this.toDateKey(new Date()));
+    if (!deadline) return null;
+    const now = new Date().toISOString();
+    return {
+      ...task,
+      id: this.newTaskId(),
+      status: TaskSchema.initialStatus(this.workflowFor(task.project)),
+      deadline,
+      progress: 0,
+      progressManual: false,
+      checklist: (task.checklist || []).map(item => ({ ...item, done: false })),
+      blockedBy: [],
+      rank: null,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  // `task-<timestamp>`, kept unique when several tasks are made in the same millisecond
+  newTaskId() {
+    this.lastTaskStamp = Math.max(Date.now(), this.lastTaskStamp + 1);
+    return `task-${this.lastTaskStamp}`;
+  }
+
+  // Several task changes saved together through POST /tasks/batch (one revision, all or nothing).
+  // Operations are { op: 'create', id, task }, { op: 'update', id, changes }, { op: 'delete', id }
+  // or { op: 'restore', id, task }.
+  applyBatch(operations) {
+    const now = new Date().toISOString();
+    operations.forEach(op => this.applyOperationLocally(op, now));
+    return this.sync('POST', '/tasks/batch', { operations });
+  }
+
+  // Apply one batch operation to this.data; `updatedAt` is left out when replaying the outbox
+  applyOperationLocally(operation, updatedAt) {
+    const { op, id } = operation;
+    if (op === 'create' || op === 'restore') {
+      const { duplicateOf, deletedAt, ...task } = operation.task;
+      if (!this.data.tasks.some(t => t.id === id)) this.data.tasks.push({ ...task });
+    } else if (op === 'update') {
+      const task = this.data.tasks.find(t => t.id === id);
+      if (task) Object.assign(task, operation.changes, updatedAt ? { updatedAt } : {});
+    } else if (op === 'delete') {
+      this.data.tasks = this.data.tasks.filter(t => t.id !== id);
+    }
+  }
+
+  // applyBatch as one user action. Undo runs the inverse batch (updates put the old values back,
+  // creates are trashed, deletes restored); redo restores the created tasks from the trash.
+  runBatch(label, operations) {
+    const inverse = operations.map(operation => {
+      const { op, id } = operation;
+      const task = this.data.tasks.find(t => t.id === id);
+      if (op === 'update') {
+        const before = {};
+        Object.keys(operation.changes).forEach(field => { before[field] = task[field]; });
+        return { op: 'update', id, changes: before };
+      }
+      if (op === 'delete') return { op: 'restore', id, task };
+      return { op: 'delete', id };
+    }).reverse();
+    const redo = operations.map(operation => (operation.op === 'create' ? { ...operation, op: 'restore' } : operation));
+    this.record(label, () => this.applyBatch(inverse), () => this.applyBatch(redo));
+    return this.applyBatch(operations);
+  }
+
+  setTaskFields(taskId, changes) {
+    const task = this.data.tasks.find(t => t.id === taskId);
+    if (task) this.updateTask(task, changes);
+  }
+
+  // Move a task to the server's trash; returns the removed task so it can be restored
+  trashTask(taskId) {
+    const task = this.data.tasks.find(t => t.id === taskId);
+    if (!task) return null;
+    this.data.tasks = this.data.tasks.filter(t => t.id !== taskId);
+    this.sync('DELETE', `/tasks/${encodeURIComponent(taskId)}`);
+    return task;
+  }
+
+  restoreTask(task) {
+    if (this.data.tasks.some(t => t.id === task.id)) return;
+    const { deletedAt, ...restored } = task;
+    this.data.tasks.push(restored);
+    this.sync('POST', `/trash/${encodeURIComponent(task.id)}/restore`, restored);
+  }
+
+  // Undo/redo: every user action records how to reverse and replay itself
+  record(label, undo, redo) {
+    this.undoStack.push({ label, undo, redo });
+    if (this.undoStack.length > 100) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) {
+      this.showToast('Nothing to undo');
+      return;
+    }
+    command.undo();
+    this.redoStack.push(command);
+    this.afterUndoRedo(`↩️ Undid ${command.label}`);
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) {
+      this.showToast('Nothing to redo');
+      return;
+    }
+    command.redo();
+    this.undoStack.push(command);
+    this.afterUndoRedo(`↪️ Redid ${command.label}`);
+  }
+
+  afterUndoRedo(message) {
+    this.updateStats();
+    this.applyFilters();
+    if (this.openTaskId && !this.data.tasks.some(t => t.id === this.openTaskId)) this.closeSidebar();
+    else if (this.openTaskId) this.openTaskDetail(this.openTaskId);
+    this.showToast(message);
+  }
+
   setupEventListeners() {
     // View toggles
     document.querySelectorAll('.view-btn').forEach(btn => {
@@ -103,23 +776,72 @@ class MissionControl {
     document.getElementById('cancelNewTask').addEventListener('click', () => this.closeModal('newTaskModal'));
     document.getElementById('newTaskForm').addEventListener('submit', (e) => this.createTask(e));
 
+    // Project details
+    document.getElementById('closeProjectModal').addEventListener('click', () => this.closeModal('projectModal'));
+    document.getElementById('cancelProject').addEventListener('click', () => this.closeModal('projectModal'));
+    document.getElementById('projectForm').addEventListener('submit', (e) => this.saveProject(e));
+
     // Settings
     document.getElementById('settingsBtn').addEventListener('click', () => this.openSettingsModal());
     document.getElementById('closeSettingsModal').addEventListener('click', () => this.closeModal('settingsModal'));
 
+    // Import / export
+    document.getElementById('exportData').addEventListener('click', () => this.exportData());
+    document.getElementById('exportServerData').addEventListener('click', () => {
+      window.location.href = `${this.API_BASE}/export`;
+    });
+    document.getElementById('importData').addEventListener('click', () => document.getElementById('importFile').click());
+    document.getElementById('importFile').addEventListener('change', (e) => this.readImportFile(e.target));
+    document.getElementById('closeImportModal').addEventListener('click', () => this.closeModal('importModal'));
+    document.getElementById('cancelImport').addEventListener('click', () => this.closeModal('importModal'));
+    document.getElementById('confirmImport').addEventListener('click', () => this.confirmImport());
+    document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+      radio.addEventListener('change', () => this.renderImportPreview());
+    });
+
+    // CSV (list view)
+    document.getElementById('exportCsv').addEventListener('click', () => this.exportCsv());
+    document.getElementById('importCsv').addEventListener('click', () => document.getElementById('importCsvFile').click());
+    document.getElementById('importCsvFile').addEventListener('change', (e) => this.importCsv(e.target));
+    document.getElementById('closeCsvReportModal').addEventListener('click', () => this.closeModal('csvReportModal'));
+    
+    // Kanban swimlanes
+    document.getElementById('kanbanSwimlanes').addEventListener('change', (e) => this.saveKanbanSettings({ swimlanes: e.target.value }));
+    
+    // List layout
+    document.getElementById('listGroupBy').addEventListener('change', (e) => this.saveListSettings({ groupBy: e.target.value }));
+    document.getElementById('listColumnsBtn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleListColumns();
+    });
+    document.addEventListener('click', (e) => {
+      if (!document.getElementById('listColumnsMenu').contains(e.target)) this.toggleListColumns(false);
+    });
+
     // Theme toggle
     document.getElementById('themeToggle').addEventListener('click', () => this.toggleTheme());
 
     // Debounced search
     document.getElementById('searchInput').addEventListener('input', (e) => {
       if (this.searchTimeout) clearTimeout(this.searchTimeout);
-      this.searchTimeout = setTimeout(() => this.search(e.target.value), 300);
+      this.searchTimeout = setTimeout(() => this.applyFilters(), 300);
     });
+    
+    // Saved views
+    document.getElementById('saveViewBtn').addEventListener('click', () => this.saveCurrentView());
+    window.addEventListener('hashchange', () => this.openViewFromHash());
 
     // Filters
     document.getElementById('filterAssignee').addEventListener('change', () => this.applyFilters());
     document.getElementById('filterProject').addEventListener('change', () => this.applyFilters());
     document.getElementById('filterPriority').addEventListener('change', () => this.applyFilters());
+    document.getElementById('filterTagsBtn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleTagFilter();
+    });
+    document.addEventListener('click', (e) => {
+      if (!document.getElementById('filterTagsMenu').contains(e.target)) this.toggleTagFilter(false);
+    });
 
     // Sidebar close
     document.getElementById('closeSidebar').addEventListener('click', () => this.closeSidebar());
@@ -127,41 +849,182 @@ class MissionControl {
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => this.handleKeyboard(e));
 
+    // Offline queue
+    document.getElementById('syncStatus').addEventListener('click', () => this.flushOutbox());
+    window.addEventListener('online', () => this.flushOutbox());
+
     // Modal backdrop clicks
     document.querySelectorAll('.modal').forEach(modal => {
       modal.addEventListener('click', (e) => {
-        if (e.target === modal) this.closeModal(modal.id);
+        if (e.target === modal && !modal.dataset.persistent) this.closeModal(modal.id);
       });
     });
 
+    // Settings rows carry the assignee name in data-remove-assignee, so any name is safe to click
+    document.getElementById('assigneesList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-remove-assignee]');
+      if (button) this.removeAssignee(button.dataset.removeAssignee);
+    });
+
     // Calendar navigation
     document.getElementById('calPrev').addEventListener('click', () => this.navigateCalendar(-1));
     document.getElementById('calNext').addEventListener('click', () => this.navigateCalendar(1));
     document.getElementById('calToday').addEventListener('click', () => this.goToToday());
+    document.getElementById('calSubscribe').addEventListener('click', () => this.copyCalendarFeed());
 
     // Quick add (Cmd/Ctrl+K)
     document.addEventListener('keydown', (e) => {
-      if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
+      if ((e.metaKey || e.ctrlKey) && !e.shiftKey && e.key === 'k') {
         e.preventDefault();
         this.openQuickAdd();
       }
     });
+    
+    // Command palette (Cmd/Ctrl+P or Shift+Cmd/Ctrl+K)
+    document.addEventListener('keydown', (e) => {
+      const key = e.key.toLowerCase();
+      if ((e.metaKey || e.ctrlKey) && (key === 'p' || (e.shiftKey && key === 'k'))) {
+        e.preventDefault();
+        this.openCommandPalette();
+      }
+    });
+    const paletteInput = document.getElementById('commandInput');
+    paletteInput.addEventListener('input', () => {
+      this.paletteIndex = 0;
+      this.renderCommandPalette();
+    });
+    paletteInput.addEventListener('keydown', (e) => this.handlePaletteKey(e));
+    const quickAddInput = document.getElementById('quickAddInput');
+    quickAddInput.addEventListener('input', () => this.renderQuickAddPreview());
+    quickAddInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.submitQuickAdd();
+      } else if (e.key === 'Escape') {
+        this.closeModal('quickAddModal');
+      }
+    });
+    
+    // Undo/redo (Cmd/Ctrl+Z, Shift+Cmd/Ctrl+Z); text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.key.toLowerCase() !== 'z') return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      e.preventDefault();
+      if (e.shiftKey) this.redo();
+      else this.undo();
+    });
+    document.getElementById('toastUndo').addEventListener('click', () => this.undo());
+    
+    // Notifications
+    document.getElementById('notificationsBtn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleNotifications();
+    });
+    document.getElementById('markAllRead').addEventListener('click', () => this.markNotificationsRead());
+    document.addEventListener('click', (e) => {
+      if (!document.getElementById('notificationsPanel').contains(e.target)) this.toggleNotifications(false);
+    });
+    
+    // Account
+    document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
+    document.getElementById('addUser').addEventListener('click', () => this.addUser());
+    
+    // Bulk bar
+    document.getElementById('bulkStatus').addEventListener('change', (e) => {
+      if (e.target.value) this.bulkSetStatus(e.target.value);
+      e.target.value = '';
+    });
+    [['bulkPriority', 'priority'], ['bulkAssignee', 'assignee'], ['bulkProject', 'project']].forEach(([id, field]) => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        if (e.target.value) this.bulkUpdate({ [field]: e.target.value });
+        e.target.value = '';
+      });
+    });
+    document.getElementById('bulkDeadline').addEventListener('change', (e) => {
+      if (e.target.value) this.bulkUpdate({ deadline: e.target.value }, 'reschedule');
+      e.target.value = '';
+    });
+    document.getElementById('bulkClearDeadline').addEventListener('click', () => this.bulkUpdate({ deadline: null }, 'reschedule'));
+    document.getElementById('bulkAddTag').addEventListener('click', () => this.bulkTag(true));
+    document.getElementById('bulkRemoveTag').addEventListener('click', () => this.bulkTag(false));
+    document.getElementById('bulkTag').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.bulkTag(true);
+    });
+    document.getElementById('bulkDuplicate').addEventListener('click', () => this.bulkDuplicate());
+    document.getElementById('bulkDelete').addEventListener('click', () => this.bulkDelete());
+    document.getElementById('bulkClear').addEventListener('click', () => this.clearSelection());
+    
+    // Trash
+    document.getElementById('trashBtn').addEventListener('click', () => this.openTrash());
+    document.getElementById('closeTrashModal').addEventListener('click', () => this.closeModal('trashModal'));
+    document.getElementById('emptyTrash').addEventListener('click', () => this.emptyTrash());
   }
 
-  // Quick Add modal (Linear-inspired)
+  // Quick Add modal (Linear-inspired): one line, parsed by QuickAdd as you type
   openQuickAdd() {
-    const title = prompt('Quick add task:');
-    if (!title) return;
-    
-    const task = {
-      id: `task-${Date.now()}`,
-      title: title,
-      project: this.data.projects[0] || 'General',
-      status: 'todo',
+    const input = document.getElementById('quickAddInput');
+    input.value = '';
+    this.renderQuickAddPreview();
+    document.getElementById('quickAddModal').classList.remove('hidden');
+    input.focus();
+  }
+
+  parseQuickAdd() {
+    return QuickAdd.parseQuickAdd(document.getElementById('quickAddInput').value, {
+      projects: this.projectNames(),
+      assignees: this.data.assignees,
+      today: this.toDateKey(new Date()),
+      me: this.user && this.user.assignee
+    });
+  }
+
+  // Fields the text leaves out come from the current filters, then the signed-in user, then the first option
+  quickAddDefaults() {
+    const project = document.getElementById('filterProject').value;
+    const assignee = this.getAssigneeFilter();
+    return {
+      project: project !== 'all' ? project : this.projectNames()[0] || 'General',
+      assignee: assignee !== 'all' ? assignee : (this.user && this.user.assignee) || this.data.assignees[0] || 'Unassigned',
       priority: 'p1',
-      assignee: this.data.assignees[0] || 'Unassigned',
       deadline: null,
-      effort: 'medium',
+      effort: 'medium'
+    };
+  }
+
+  renderQuickAddPreview() {
+    const parsed = this.parseQuickAdd();
+    const fields = { ...this.quickAddDefaults(), ...parsed.fields };
+    const labels = { project: 'Project', assignee: 'Assignee', priority: 'Priority', deadline: 'Due', effort: 'Effort' };
+    const show = (field) => {
+      if (!fields[field]) return 'none';
+      return this.escapeHtml(field === 'deadline' ? this.formatDate(fields[field]) : fields[field]);
+    };
+    
+    document.getElementById('quickAddPreview').innerHTML = `
+      <div class="quick-add-title">${parsed.title ? this.escapeHtml(parsed.title) : '<em>Type a title...</em>'}</div>
+      <div class="quick-add-fields">
+        ${Object.entries(labels).map(([field, label]) => `
+          <span class="quick-add-field ${field in parsed.fields ? 'set' : ''}" title="${field in parsed.fields ? 'From your text' : 'Default'}">${label}: ${show(field)}</span>
+        `).join('')}
+      </div>
+      ${parsed.warnings.map(warning => `<div class="quick-add-warning">⚠️ ${this.escapeHtml(warning)}</div>`).join('')}
+    `;
+  }
+
+  submitQuickAdd() {
+    const parsed = this.parseQuickAdd();
+    if (!parsed.title) return;
+    const fields = { ...this.quickAddDefaults(), ...parsed.fields };
+    
+    const task = {
+      id: this.newTaskId(),
+      title: parsed.title,
+      project: fields.project,
+      status: TaskSchema.initialStatus(this.workflowFor(fields.project)),
+      priority: fields.priority,
+      assignee: fields.assignee,
+      deadline: fields.deadline,
+      effort: fields.effort,
       progress: 0,
       nextAction: '',
       tags: [],
@@ -171,18 +1034,22 @@ class MissionControl {
     };
     
     this.data.tasks.push(task);
-    this.saveData();
+    this.sync('POST', '/tasks', task);
+    this.record('create', () => this.trashTask(task.id), () => this.restoreTask(task));
     this.updateStats();
     this.applyFilters();
-    this.showToast('✓ Task created');
+    this.closeModal('quickAddModal');
+    this.showToast('✓ Task created', true);
   }
 
+  // 'project' is the project overview, which has no button of its own (see openProjectOverview)
   switchView(view) {
     this.currentView = view;
-    document.querySelectorAll('.view-btn').forEach(btn => btn.classList.remove('active'));
-    document.querySelector(`[data-view="${view}"]`).classList.add('active');
+    this.syncActiveView();
+    document.querySelectorAll('.view-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.view === view));
     document.querySelectorAll('.view-container').forEach(v => v.classList.add('hidden'));
     document.getElementById(`${view}View`).classList.remove('hidden');
+    if (view !== 'project' && location.hash.startsWith('#project=')) history.replaceState(null, '', location.pathname + location.search);
     this.render();
   }
 
@@ -194,37 +1061,66 @@ class MissionControl {
   }
 
   render() {
+    // Only tasks on screen stay selected, so bulk edits never reach hidden ones
+    const visible = new Set(['calendar', 'project'].includes(this.currentView) ? [] : this.filteredTasks.map(t => t.id));
+    this.selectedTasks.forEach(id => { if (!visible.has(id)) this.selectedTasks.delete(id); });
+    this.renderBulkBar();
     if (this.currentView === 'kanban') this.renderKanban();
     else if (this.currentView === 'list') this.renderList();
     else if (this.currentView === 'calendar') this.renderCalendar();
+    else if (this.currentView === 'project') this.renderProjectOverview();
   }
 
+  // Columns are the statuses of the workflows in use (see boardStatuses); with swimlanes on, each
+  // lane gets its own row of columns, and project lanes only show their project's workflow
   renderKanban() {
-    const statuses = ['backlog', 'todo', 'doing', 'review', 'done'];
-    statuses.forEach(status => {
-      const column = document.querySelector(`.column-content[data-status="${status}"]`);
-      const tasks = this.filteredTasks.filter(t => t.status === status);
-      
-      const count = column.closest('.kanban-column').querySelector('.column-count');
-      count.textContent = tasks.length;
-      
-      column.innerHTML = tasks.length ? tasks.map(task => this.createTaskCard(task)).join('') : 
-        `<div class="empty-state">
-          <div class="empty-state-icon">📭</div>
-          <div class="empty-state-text">No tasks</div>
-        </div>`;
-      
-      this.setupDragAndDrop(column);
+    const board = document.getElementById('kanbanBoard');
+    const { swimlanes } = this.getKanbanSettings();
+    document.getElementById('kanbanSwimlanes').value = swimlanes;
+    const grouped = swimlanes ? this.groupListTasks(this.filteredTasks, swimlanes) : [];
+    const lanes = grouped.length ? grouped : [{ key: null, tasks: this.filteredTasks }];
+    const projectFilter = document.getElementById('filterProject').value;
+    const projects = projectFilter !== 'all' ? [projectFilter]
+      : [...new Set([...this.projectNames(true), ...this.filteredTasks.map(t => t.project)])];
+    const columns = (lane) => {
+      const statuses = this.boardStatuses(swimlanes === 'project' && lane.key !== null ? [lane.key] : projects);
+      return `<div class="kanban-columns" style="--columns: ${statuses.length}">${statuses.map(status => this.renderKanbanColumn(status, lane)).join('')}</div>`;
+    };
+    
+    board.innerHTML = lanes.map(lane => {
+      if (lane.key === null) return columns(lane);
+      const laneId = `${swimlanes}:${lane.key}`;
+      const collapsed = this.collapsedLanes.has(laneId);
+      return `
+        <div class="kanban-lane">
+          <div class="kanban-lane-header" data-lane-toggle="${this.escapeHtml(laneId)}">
+            <span class="list-group-toggle">${collapsed ? '▸' : '▾'}</span>
+            <span class="list-group-name">${this.escapeHtml(lane.label)}</span>
+            <span class="column-count">${lane.tasks.length}</span>
+          </div>
+          ${collapsed ? '' : columns(lane)}
+        </div>
+      `;
+    }).join('');
+    
+    board.querySelectorAll('.column-content').forEach(column => this.setupDragAndDrop(column));
+    board.querySelectorAll('[data-lane-toggle]').forEach(header => {
+      header.addEventListener('click', () => {
+        const laneId = header.dataset.laneToggle;
+        if (this.collapsedLanes.has(laneId)) this.collapsedLanes.delete(laneId);
+        else this.collapsedLanes.add(laneId);
+        this.renderKanban();
+      });
     });
     
-    document.querySelectorAll('.task-card').forEach(card => {
+    board.querySelectorAll('.task-card').forEach(card => {
       card.setAttribute('draggable', 'true');
       card.addEventListener('dragstart', (e) => this.handleDragStart(e));
       card.addEventListener('dragend', (e) => this.handleDragEnd(e));
       card.addEventListener('click', (e) => {
-        if (!e.target.closest('.task-quick-actions')) {
-          this.openTaskDetail(e.currentTarget.dataset.taskId);
-        }
+        if (e.target.closest('.task-quick-actions')) return;
+        if (e.shiftKey || e.metaKey || e.ctrlKey) this.toggleSelected(e.currentTarget.dataset.taskId);
+        else this.openTaskDetail(e.currentTarget.dataset.taskId);
       });
       
       // Quick actions on hover (like Linear)
@@ -233,32 +1129,298 @@ class MissionControl {
     });
   }
 
-  createTaskCard(task) {
-    const deadline = task.deadline ? this.formatDeadline(task.deadline) : '';
-    const progress = task.progress > 0 ? `
-      <div class="task-progress">
-        <div class="task-progress-bar" style="width: ${task.progress}%"></div>
-      </div>
+  renderKanbanColumn({ id: status, name, color }, lane) {
+    const { swimlanes } = this.getKanbanSettings();
+    const tasks = this.sortByRank(lane.tasks.filter(t => t.status === status));
+    const rule = this.getKanbanSettings().wipLimits[status];
+    // In assignee lanes, a per-assignee limit only flags the lane of the person over it
+    const warnings = this.wipWarnings(status).filter(w => !w.assignee || swimlanes !== 'assignee' || w.assignee === lane.key);
+    const limit = rule ? `
+      <span class="wip-limit ${warnings.length ? 'over' : ''}" title="${this.escapeHtml(warnings.map(w => w.text).join('\n') || 'WIP limit')}">
+        ${warnings.length ? '⚠️ ' : ''}max ${rule.limit}${rule.perAssignee ? ' each' : ''}
+      </span>
     ` : '';
     
     return `
-      <div class="task-card" data-task-id="${task.id}" draggable="true">
-        <div class="task-priority ${task.priority}"></div>
-        <div class="task-project">${task.project}</div>
-        <div class="task-title">${task.title}</div>
-        <div class="task-meta">
-          ${deadline}
-          <div class="task-assignee">${this.getInitials(task.assignee)}</div>
+      <div class="kanban-column ${warnings.length ? 'over-limit' : ''}" data-status="${status}">
+        <div class="column-header">
+          <h3><span class="status-dot" style="background: ${color}"></span>${this.escapeHtml(name)}</h3>
+          <div class="column-header-meta">
+            ${limit}
+            <span class="column-count">${tasks.length}</span>
+          </div>
         </div>
-        ${progress}
-        <div class="task-quick-actions hidden">
-          <button class="quick-action-btn" onclick="app.quickComplete('${task.id}')" title="Mark done">✓</button>
-          <button class="quick-action-btn" onclick="app.quickDelete('${task.id}')" title="Delete">🗑</button>
+        <div class="column-content" data-status="${status}" data-lane="${lane.key === null ? '' : this.escapeHtml(lane.key)}">
+          ${tasks.length ? tasks.map(task => this.createTaskCard(task)).join('') : `
+            <div class="empty-state">
+              <div class="empty-state-icon">📭</div>
+              <div class="empty-state-text">No tasks</div>
+            </div>
+          `}
+        </div>
+      </div>
+    `;
+  }
+
+  // Workflows (settings.workflows, README "Workflows") decide a project's statuses and which count as done
+  workflowFor(project) {
+    return TaskSchema.workflowFor(this.data.settings, project);
+  }
+
+  isDone(task) {
+    return TaskSchema.isDone(task, this.data.settings);
+  }
+
+  progressOf(task) {
+    return TaskSchema.computeProgress(task, this.data.settings);
+  }
+
+  // Statuses of the workflows the projects use, each status id once: open ones first, in the order
+  // of the workflows in settings, then the finished ones
+  boardStatuses(projects) {
+    const used = new Set(projects.map(project => this.workflowFor(project).id));
+    const statuses = new Map();
+    TaskSchema.getWorkflows(this.data.settings).filter(w => used.has(w.id)).forEach(workflow => {
+      workflow.statuses.forEach(status => { if (!statuses.has(status.id)) statuses.set(status.id, status); });
+    });
+    const all = [...statuses.values()];
+    return [...all.filter(s => !s.done), ...all.filter(s => s.done)];
+  }
+
+  statusName(statusId) {
+    const status = TaskSchema.getWorkflows(this.data.settings).flatMap(w => w.statuses).find(s => s.id === statusId);
+    return status ? status.name : statusId;
+  }
+
+  statusBadge(task) {
+    const status = this.workflowFor(task.project).statuses.find(s => s.id === task.status) || { name: task.status, color: '#8e8e93' };
+    return `<span class="list-status-badge" style="--status-color: ${status.color}">${this.escapeHtml(status.name)}</span>`;
+  }
+
+  statusOptions(project, selected) {
+    return this.workflowFor(project).statuses
+      .map(s => `<option value="${s.id}" ${s.id === selected ? 'selected' : ''}>${this.escapeHtml(s.name)}</option>`).join('');
+  }
+
+  // First status of the project's workflow that counts as done (what "Mark done" moves to)
+  doneStatus(project) {
+    return this.workflowFor(project).statuses.find(s => s.done).id;
+  }
+
+  // Changes that move a task to a status; finishing it also fills its progress
+  statusChanges(task, status) {
+    return this.isDone({ ...task, status }) ? { status, progress: 100 } : { status };
+  }
+
+  // Changes that move a task to another project, with its status mapped onto that project's workflow
+  projectChanges(task, project) {
+    const status = TaskSchema.mapStatus(task.status, this.workflowFor(task.project), this.workflowFor(project));
+    return status === task.status ? { project } : { project, status };
+  }
+
+  // Do these changes finish a task that wasn't finished?
+  completes(task, changes) {
+    return (changes.status !== undefined || changes.project !== undefined) && !this.isDone(task) && this.isDone({ ...task, ...changes });
+  }
+
+  // Blocked tasks warn when they go past where their workflow starts new tasks (e.g. into Doing or Done)
+  startsWork(project, status) {
+    const workflow = this.workflowFor(project);
+    const index = workflow.statuses.findIndex(s => s.id === status);
+    if (index === -1) return false;
+    return workflow.statuses[index].done || index > workflow.statuses.findIndex(s => s.id === TaskSchema.initialStatus(workflow));
+  }
+
+  // data.settings.kanban: { swimlanes: '' | 'assignee' | 'project', wipLimits: { [status]: { limit, perAssignee } } }
+  getKanbanSettings() {
+    return { swimlanes: '', wipLimits: {}, ...this.data.settings.kanban };
+  }
+
+  saveKanbanSettings(changes) {
+    this.data.settings.kanban = { ...this.getKanbanSettings(), ...changes };
+    this.saveData();
+    this.renderKanban();
+  }
+
+  // Kanban order: ranked tasks by rank, then unranked ones in the order they were added
+  sortByRank(tasks) {
+    const rank = (task) => (typeof task.rank === 'number' ? task.rank : Infinity);
+    return [...tasks].sort((a, b) => (rank(a) === rank(b) ? 0 : rank(a) - rank(b)));
+  }
+
+  // WIP limits are counted over every task, not just the filtered ones: [{ assignee, text }]
+  wipWarnings(status) {
+    const rule = this.getKanbanSettings().wipLimits[status];
+    if (!rule) return [];
+    const tasks = this.data.tasks.filter(t => t.status === status);
+    const label = this.statusName(status);
+    if (!rule.perAssignee) {
+      return tasks.length > rule.limit ? [{ assignee: null, text: `${tasks.length}/${rule.limit} in ${label}` }] : [];
+    }
+    const counts = {};
+    tasks.forEach(task => { counts[task.assignee] = (counts[task.assignee] || 0) + 1; });
+    return Object.entries(counts)
+      .filter(([, count]) => count > rule.limit)
+      .map(([assignee, count]) => ({ assignee, text: `${assignee} has ${count}/${rule.limit} in ${label}` }));
+  }
+
+  // Ranks that put `moving` before `beforeId` (or at the end) among the other tasks in `column`.
+  // The moved tasks share the gap between their new neighbours; when there is no gap left, or a
+  // neighbour has no rank yet, the whole column is renumbered. Returns a Map of task id → rank.
+  rankTasks(column, moving, beforeId) {
+    const STEP = 1000;
+    const others = column.filter(t => !moving.includes(t));
+    let index = others.findIndex(t => t.id === beforeId);
+    if (index === -1) index = others.length;
+    const prev = others[index - 1];
+    const next = others[index];
+    const ranked = (task) => !task || typeof task.rank === 'number';
+    const ranks = new Map();
+    
+    if (ranked(prev) && ranked(next)) {
+      const span = STEP * (moving.length + 1);
+      const low = prev ? prev.rank : next ? next.rank - span : 0;
+      const high = next ? next.rank : low + span;
+      const gap = (high - low) / (moving.length + 1);
+      if (gap > 1e-6) {
+        moving.forEach((task, i) => ranks.set(task.id, low + gap * (i + 1)));
+        return ranks;
+      }
+    }
+    [...others.slice(0, index), ...moving, ...others.slice(index)].forEach((task, i) => ranks.set(task.id, STEP * (i + 1)));
+    return ranks;
+  }
+
+  // Drop cards into a column (and swimlane) at a position: status, lane field and ranks are
+  // saved together as one batch and one undo step
+  dropTasks(taskIds, status, beforeId, lane = '') {
+    const moving = taskIds.map(id => this.data.tasks.find(t => t.id === id)).filter(Boolean);
+    const entering = moving.filter(t => t.status !== status);
+    const { swimlanes } = this.getKanbanSettings();
+    const laneField = swimlanes && lane ? swimlanes : null;
+    // Every task must end up in a project whose workflow has the column's status
+    const project = (task) => (laneField === 'project' ? lane : task.project);
+    const misfits = moving.filter(task => !this.workflowFor(project(task)).statuses.some(s => s.id === status));
+    if (misfits.length) {
+      this.showToast(`⚠️ ${this.workflowFor(project(misfits[0])).name} workflow has no "${this.statusName(status)}" status`);
+      return;
+    }
+    if (!moving.length || !this.confirmUnblockedAll(entering, status)) return;
+    const column = this.sortByRank(this.filteredTasks.filter(t =>
+      t.status === status && (!laneField || t[laneField] === lane)));
+    
+    const edits = [];
+    this.rankTasks(column, moving, beforeId).forEach((rank, id) => {
+      const task = this.data.tasks.find(t => t.id === id);
+      const changes = { rank };
+      if (moving.includes(task)) {
+        if (laneField && task[laneField] !== lane) changes[laneField] = lane;
+        if (task.status !== status) Object.assign(changes, this.statusChanges({ ...task, ...changes }, status));
+      }
+      if (Object.keys(changes).some(field => task[field] !== changes[field])) edits.push({ task, changes });
+    });
+    if (!edits.length) return;
+    
+    this.bulkEdit(edits, 'move', moving.length === 1 ? '✓ Task moved' : `✓ Moved ${moving.length} tasks`);
+    // Warn (but don't refuse) when the cards join a column or an assignee's share that is over its limit
+    const warnings = this.wipWarnings(status).filter(w => !w.assignee || entering.some(t => t.assignee === w.assignee));
+    if (entering.length && warnings.length) this.showToast(`⚠️ Over WIP limit: ${warnings.map(w => w.text).join(', ')}`, true);
+  }
+
+  // Settings: WIP limit per Kanban column (status of any workflow), optionally counted per assignee
+  renderWipSettings() {
+    const { wipLimits } = this.getKanbanSettings();
+    document.getElementById('wipLimitsList').innerHTML = this.boardStatuses(this.projectNames(true)).map(({ id: status, name, color }) => {
+      const rule = wipLimits[status] || {};
+      return `
+        <div class="wip-row">
+          <span class="wip-name"><span class="status-dot" style="background: ${color}"></span>${this.escapeHtml(name)}</span>
+          <input type="number" min="1" placeholder="No limit" value="${rule.limit || ''}" data-wip-limit="${status}" onchange="app.setWipLimit('${status}')">
+          <label><input type="checkbox" data-wip-each="${status}" ${rule.perAssignee ? 'checked' : ''} onchange="app.setWipLimit('${status}')"> per assignee</label>
+        </div>
+      `;
+    }).join('');
+  }
+
+  setWipLimit(status) {
+    const limit = parseInt(document.querySelector(`[data-wip-limit="${status}"]`).value, 10);
+    const perAssignee = document.querySelector(`[data-wip-each="${status}"]`).checked;
+    const wipLimits = { ...this.getKanbanSettings().wipLimits };
+    if (limit > 0) wipLimits[status] = { limit, perAssignee };
+    else delete wipLimits[status];
+    this.saveKanbanSettings({ wipLimits });
+  }
+
+  createTaskCard(task) {
+    const deadline = task.deadline ? this.formatDeadline(task.deadline) : '';
+    const percent = this.progressOf(task);
+    const progress = percent > 0 ? `
+      <div class="task-progress">
+        <div class="task-progress-bar" style="width: ${percent}%"></div>
+      </div>
+    ` : '';
+    
+    return `
+      <div class="task-card ${this.blockers(task).length ? 'blocked' : ''} ${this.selectedTasks.has(task.id) ? 'selected' : ''}" data-task-id="${task.id}" draggable="true">
+        <div class="task-priority ${task.priority}"></div>
+        <div class="task-project">${this.projectDot(task.project)}${this.escapeHtml(task.project)}</div>
+        <div class="task-title">${this.escapeHtml(task.title)}</div>
+        ${this.tagChips(task.tags)}
+        <div class="task-meta">
+          ${deadline}
+          ${this.blockedBadge(task)}
+          ${this.checklistBadge(task)}
+          ${task.recurrence ? `<span class="task-recurring" title="Repeats ${this.describeRecurrence(task.recurrence)}">🔁</span>` : ''}
+          <div class="task-assignee">${this.getInitials(task.assignee)}</div>
+        </div>
+        ${progress}
+        <div class="task-quick-actions hidden">
+          <button class="quick-action-btn" onclick="app.quickComplete('${task.id}')" title="Mark done">✓</button>
+          <button class="quick-action-btn" onclick="app.quickDelete('${task.id}')" title="Delete">🗑</button>
         </div>
       </div>
     `;
   }
 
+  // "3/10" for tasks with a checklist
+  checklistBadge(task) {
+    const checklist = task.checklist || [];
+    if (!checklist.length) return '';
+    const done = checklist.filter(item => item.done).length;
+    return `<span class="task-checklist ${done === checklist.length ? 'complete' : ''}" title="Checklist">☑ ${done}/${checklist.length}</span>`;
+  }
+
+  // Unfinished tasks this one is waiting on
+  blockers(task) {
+    return TaskSchema.openBlockers(task, this.data.tasks, this.data.settings);
+  }
+
+  blockedBadge(task) {
+    const blockers = this.blockers(task);
+    if (!blockers.length) return '';
+    const titles = blockers.map(t => t.title).join(', ');
+    return `<span class="task-blocked" title="Blocked by ${this.escapeHtml(titles)}">⛔ Blocked</span>`;
+  }
+
+  // Starting or finishing a blocked task is allowed, but only after a warning
+  confirmUnblocked(task, status) {
+    const blockers = this.blockers(task);
+    if (!blockers.length || !this.startsWork(task.project, status)) return true;
+    return confirm(`"${task.title}" is blocked by:\n${blockers.map(t => `• ${t.title}`).join('\n')}\n\nMove it anyway?`);
+  }
+
+  // confirmUnblocked for several tasks, with one question for all of them
+  confirmUnblockedAll(tasks, status) {
+    if (tasks.length === 1) return this.confirmUnblocked(tasks[0], status);
+    const blocked = tasks.filter(t => this.startsWork(t.project, status) && this.blockers(t).length);
+    return !blocked.length || confirm(`${blocked.length} of these tasks are blocked:\n${blocked.map(t => `• ${t.title}`).join('\n')}\n\nMove them anyway?`);
+  }
+
+  checklistSummary(task) {
+    const checklist = task.checklist || [];
+    return checklist.length ? `${checklist.filter(item => item.done).length}/${checklist.length} done` : 'none';
+  }
+
   showQuickActions(card) {
     const actions = card.querySelector('.task-quick-actions');
     if (actions) actions.classList.remove('hidden');
@@ -272,30 +1434,28 @@ class MissionControl {
   quickComplete(taskId) {
     const task = this.data.tasks.find(t => t.id === taskId);
     if (task) {
-      task.status = 'done';
-      task.progress = 100;
-      task.updatedAt = new Date().toISOString();
-      this.saveData();
+      const done = this.doneStatus(task.project);
+      if (!this.confirmUnblocked(task, done)) return;
+      this.editTask(task, this.statusChanges(task, done), 'complete');
       this.updateStats();
       this.render();
-      this.showToast('✓ Task completed');
+      this.showToast('✓ Task completed', true);
     }
   }
 
   quickDelete(taskId) {
-    if (!confirm('Delete this task?')) return;
-    this.data.tasks = this.data.tasks.filter(t => t.id !== taskId);
-    this.saveData();
+    const task = this.trashTask(taskId);
+    if (!task) return;
+    this.record('delete', () => this.restoreTask(task), () => this.trashTask(taskId));
     this.updateStats();
     this.applyFilters();
-    this.showToast('✓ Task deleted');
+    this.showToast('🗑️ Moved to trash', true);
   }
 
   formatDeadline(deadline) {
-    const date = new Date(deadline);
+    const date = this.parseDateKey(deadline);
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    date.setHours(0, 0, 0, 0);
     
     const diff = (date - today) / (1000 * 60 * 60 * 24);
     let className = 'future';
@@ -306,10 +1466,14 @@ class MissionControl {
   }
 
   formatDate(dateString) {
-    const date = new Date(dateString);
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? this.parseDateKey(dateString) : new Date(dateString);
     return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
   }
 
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
   getInitials(name) {
     return name.split(' ').map(n => n[0]).join('').toUpperCase();
   }
@@ -318,80 +1482,268 @@ class MissionControl {
     column.addEventListener('dragover', (e) => {
       e.preventDefault();
       column.classList.add('drag-over');
+      this.showDropIndicator(column, this.cardBelowPointer(column, e.clientY));
     });
     
-    column.addEventListener('dragleave', () => {
+    column.addEventListener('dragleave', (e) => {
+      if (column.contains(e.relatedTarget)) return;
       column.classList.remove('drag-over');
+      this.showDropIndicator(null);
     });
     
     column.addEventListener('drop', (e) => {
       e.preventDefault();
       column.classList.remove('drag-over');
+      this.showDropIndicator(null);
       const taskId = e.dataTransfer.getData('text/plain');
-      const newStatus = column.dataset.status;
-      this.updateTaskStatus(taskId, newStatus);
+      const before = this.cardBelowPointer(column, e.clientY);
+      // Dragging one card of a multi-selection moves the whole selection
+      const taskIds = this.selectedTasks.has(taskId) && this.selectedTasks.size > 1 ? [...this.selectedTasks] : [taskId];
+      this.dropTasks(taskIds, column.dataset.status, before && before.dataset.taskId, column.dataset.lane);
     });
   }
 
+  // The first card whose middle is below the pointer, i.e. the one a drop lands in front of
+  cardBelowPointer(column, y) {
+    return [...column.querySelectorAll('.task-card:not(.dragging)')].find(card => {
+      const box = card.getBoundingClientRect();
+      return y < box.top + box.height / 2;
+    }) || null;
+  }
+
+  // A line where the dragged cards will land; showDropIndicator(null) removes it
+  showDropIndicator(column, before) {
+    let indicator = document.getElementById('dropIndicator');
+    if (!column) {
+      if (indicator) indicator.remove();
+      return;
+    }
+    if (!indicator) {
+      indicator = document.createElement('div');
+      indicator.id = 'dropIndicator';
+      indicator.className = 'drop-indicator';
+    }
+    column.insertBefore(indicator, before);
+  }
+
   handleDragStart(e) {
     e.dataTransfer.setData('text/plain', e.target.dataset.taskId);
     e.target.classList.add('dragging');
+    if (this.selectedTasks.has(e.target.dataset.taskId)) {
+      document.querySelectorAll('.task-card.selected').forEach(card => card.classList.add('dragging'));
+    }
   }
 
-  handleDragEnd(e) {
-    e.target.classList.remove('dragging');
+  handleDragEnd() {
+    document.querySelectorAll('.task-card.dragging').forEach(card => card.classList.remove('dragging'));
+    this.showDropIndicator(null);
   }
 
   updateTaskStatus(taskId, newStatus) {
     const task = this.data.tasks.find(t => t.id === taskId);
-    if (task) {
-      task.status = newStatus;
-      if (newStatus === 'done') task.progress = 100;
-      task.updatedAt = new Date().toISOString();
-      this.saveData();
+    if (task && task.status !== newStatus) {
+      if (!this.confirmUnblocked(task, newStatus)) return;
+      this.editTask(task, this.statusChanges(task, newStatus), 'move');
       this.updateStats();
       this.render();
+      this.showToast('✓ Task moved', true);
+    }
+  }
+
+  // Columns the List view can show: header label, value to sort by, cell HTML, and the inline
+  // editor for editable ones ('text', 'date', 'number', 'tags', an array of options or a function
+  // giving a task's options)
+  getListColumns() {
+    const statuses = this.boardStatuses(this.projectNames(true));
+    const when = (iso) => (iso ? this.formatDate(iso) : '-');
+    return {
+      priority: {
+        label: 'Priority', sort: t => t.priority, edit: TaskSchema.PRIORITIES,
+        cell: t => `<div class="list-priority-dot ${t.priority}"></div>`
+      },
+      title: {
+        label: 'Task', sort: t => t.title.toLowerCase(), edit: 'text',
+        cell: (t, columns) => `
+          ${(t.checklist || []).length ? `<button class="list-expand" data-expand="${t.id}" title="Show checklist">${this.expandedTasks.has(t.id) ? '▾' : '▸'}</button>` : ''}
+          ${this.escapeHtml(t.title)}
+          <button class="list-edit-title" data-edit-title="${t.id}" title="Rename">✎</button>
+          ${columns.includes('tags') ? '' : this.tagChips(t.tags)}
+          ${this.blockedBadge(t)}
+          ${this.checklistBadge(t)}
+        `
+      },
+      project: { label: 'Project', sort: t => t.project.toLowerCase(), edit: this.projectNames(), cell: t => this.escapeHtml(t.project) },
+      assignee: {
+        label: 'Assignee', sort: t => t.assignee.toLowerCase(), edit: this.data.assignees,
+        cell: t => `<div class="task-assignee" title="${this.escapeHtml(t.assignee)}">${this.getInitials(t.assignee)}</div>`
+      },
+      status: {
+        label: 'Status', sort: t => statuses.findIndex(s => s.id === t.status),
+        edit: t => this.workflowFor(t.project).statuses.map(s => s.id),
+        labels: Object.fromEntries(statuses.map(s => [s.id, s.name])),
+        cell: t => this.statusBadge(t)
+      },
+      deadline: { label: 'Deadline', sort: t => t.deadline, edit: 'date', cell: t => when(t.deadline) },
+      progress: { label: 'Progress', sort: t => this.progressOf(t), edit: 'number', cell: t => `${this.progressOf(t)}%` },
+      effort: { label: 'Effort', sort: t => TaskSchema.EFFORTS.indexOf(t.effort), edit: TaskSchema.EFFORTS, cell: t => t.effort || '-' },
+      nextAction: { label: 'Next Action', sort: t => (t.nextAction || '').toLowerCase(), edit: 'text', cell: t => this.escapeHtml(t.nextAction || '-') },
+      tags: { label: 'Tags', sort: t => (t.tags || []).join(' '), edit: 'tags', cell: t => this.tagChips(t.tags) || '-' },
+      createdAt: { label: 'Created', sort: t => t.createdAt, cell: t => when(t.createdAt) },
+      updatedAt: { label: 'Updated', sort: t => t.updatedAt, cell: t => when(t.updatedAt) }
+    };
+  }
+
+  // data.settings.list: { columns: visible column ids in order, sort: [{ column, dir }], groupBy }
+  getListSettings() {
+    return { columns: this.LIST_COLUMNS, sort: [], groupBy: '', ...this.data.settings.list };
+  }
+
+  saveListSettings(changes) {
+    this.data.settings.list = { ...this.getListSettings(), ...changes };
+    this.saveData();
+    this.renderList();
+  }
+
+  // Sort by each key in turn; tasks with no value (no deadline, no next action) go last either way
+  sortListTasks(tasks, sort, columns) {
+    const keys = sort.filter(s => columns[s.column]);
+    if (!keys.length) return tasks;
+    const empty = (value) => value === null || value === undefined || value === '';
+    return [...tasks].sort((a, b) => {
+      for (const { column, dir } of keys) {
+        const x = columns[column].sort(a);
+        const y = columns[column].sort(b);
+        if (empty(x) || empty(y)) {
+          if (empty(x) !== empty(y)) return empty(x) ? 1 : -1;
+          continue;
+        }
+        const diff = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+        if (diff) return dir === 'desc' ? -diff : diff;
+      }
+      return 0;
+    });
+  }
+
+  // A click sorts by one column (ascending, descending, then unsorted); Shift+click adds it as
+  // the next key, or flips/removes it if it is already one
+  sortListBy(column, add) {
+    const { sort } = this.getListSettings();
+    const current = sort.find(s => s.column === column);
+    let next;
+    if (!add) {
+      const only = sort.length === 1 && current;
+      next = !only ? [{ column, dir: 'asc' }] : current.dir === 'asc' ? [{ column, dir: 'desc' }] : [];
+    } else if (!current) {
+      next = [...sort, { column, dir: 'asc' }];
+    } else {
+      next = current.dir === 'asc' ? sort.map(s => (s === current ? { column, dir: 'desc' } : s)) : sort.filter(s => s !== current);
+    }
+    this.saveListSettings({ sort: next });
+  }
+
+  // [{ key, label, tasks }] in workflow order for statuses, or alphabetically for projects and assignees
+  groupListTasks(tasks, groupBy) {
+    const groups = new Map();
+    tasks.forEach(task => {
+      const key = task[groupBy] || '';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(task);
+    });
+    if (groupBy === 'status') {
+      return this.boardStatuses(this.projectNames(true))
+        .filter(status => groups.has(status.id))
+        .map(status => ({ key: status.id, label: status.name, tasks: groups.get(status.id) }));
     }
+    return [...groups.keys()].sort((a, b) => a.localeCompare(b)).map(key => ({ key, label: key || 'None', tasks: groups.get(key) }));
+  }
+
+  // "5 tasks · 2 done · 40% avg · 1 overdue"
+  groupSubtotals(tasks) {
+    const today = this.toDateKey(new Date());
+    const done = tasks.filter(t => this.isDone(t)).length;
+    const average = Math.round(tasks.reduce((sum, t) => sum + this.progressOf(t), 0) / tasks.length);
+    const overdue = tasks.filter(t => t.deadline && t.deadline < today && !this.isDone(t)).length;
+    return [
+      `${tasks.length} task${tasks.length === 1 ? '' : 's'}`,
+      `${done} done`,
+      `${average}% avg`,
+      overdue ? `<span class="overdue">${overdue} overdue</span>` : ''
+    ].filter(Boolean).join(' · ');
   }
 
   renderList() {
     const listContent = document.querySelector('.list-content');
+    const settings = this.getListSettings();
+    const allColumns = this.getListColumns();
+    const columns = settings.columns.filter(id => allColumns[id]);
+    const span = columns.length + 1;
+    const tasks = this.sortListTasks(this.filteredTasks, settings.sort, allColumns);
+    const groups = settings.groupBy ? this.groupListTasks(tasks, settings.groupBy) : [{ key: null, tasks }];
+    
+    const sortMark = (id) => {
+      const index = settings.sort.findIndex(s => s.column === id);
+      if (index === -1) return '';
+      const arrow = settings.sort[index].dir === 'asc' ? '▲' : '▼';
+      return `<span class="list-sort">${arrow}${settings.sort.length > 1 ? index + 1 : ''}</span>`;
+    };
+    
+    const row = (task) => `
+      <tr data-task-id="${task.id}" class="${this.selectedTasks.has(task.id) ? 'selected' : ''}">
+        <td class="list-select-cell">
+          <input type="checkbox" data-select="${task.id}" ${this.selectedTasks.has(task.id) ? 'checked' : ''}>
+        </td>
+        ${columns.map(id => `
+          <td class="list-${id}-cell ${allColumns[id].edit && id !== 'title' ? 'list-editable' : ''}" data-column="${id}">${allColumns[id].cell(task, columns)}</td>
+        `).join('')}
+      </tr>
+      ${this.expandedTasks.has(task.id) && (task.checklist || []).length ? `
+        <tr class="list-subtasks">
+          <td></td>
+          <td colspan="${columns.length}">
+            ${task.checklist.map(item => `
+              <label class="checklist-item ${item.done ? 'done' : ''}">
+                <input type="checkbox" data-task="${task.id}" data-item="${item.id}" ${item.done ? 'checked' : ''}>
+                ${this.escapeHtml(item.text)}
+              </label>
+            `).join('')}
+          </td>
+        </tr>
+      ` : ''}
+    `;
+    
+    const body = groups.map(group => {
+      if (group.key === null) return group.tasks.map(row).join('');
+      const groupId = `${settings.groupBy}:${group.key}`;
+      const collapsed = this.collapsedGroups.has(groupId);
+      return `
+        <tr class="list-group-header" data-group="${this.escapeHtml(groupId)}">
+          <td colspan="${span}">
+            <span class="list-group-toggle">${collapsed ? '▸' : '▾'}</span>
+            <span class="list-group-name">${this.escapeHtml(group.label)}</span>
+            <span class="list-group-totals">${this.groupSubtotals(group.tasks)}</span>
+          </td>
+        </tr>
+        ${collapsed ? '' : group.tasks.map(row).join('')}
+      `;
+    }).join('');
     
     listContent.innerHTML = `
       <table class="list-table">
         <thead>
           <tr>
-            <th class="list-priority-cell">Priority</th>
-            <th class="list-title-cell">Task</th>
-            <th class="list-project-cell">Project</th>
-            <th class="list-assignee-cell">Assignee</th>
-            <th class="list-status-cell">Status</th>
-            <th class="list-deadline-cell">Deadline</th>
-            <th class="list-progress-cell">Progress</th>
+            <th class="list-select-cell">
+              <input type="checkbox" id="selectAllTasks" title="Select all"
+                ${this.filteredTasks.length && this.filteredTasks.every(t => this.selectedTasks.has(t.id)) ? 'checked' : ''}>
+            </th>
+            ${columns.map(id => `
+              <th class="list-${id}-cell ${sortMark(id) ? 'sorted' : ''}" data-sort="${id}" title="Sort (Shift+click to add)">${allColumns[id].label}${sortMark(id)}</th>
+            `).join('')}
           </tr>
         </thead>
         <tbody>
-          ${this.filteredTasks.length ? this.filteredTasks.map(task => `
-            <tr data-task-id="${task.id}">
-              <td class="list-priority-cell">
-                <div class="list-priority-dot ${task.priority}"></div>
-              </td>
-              <td class="list-title-cell">${task.title}</td>
-              <td class="list-project-cell">${task.project}</td>
-              <td class="list-assignee-cell">
-                <div class="task-assignee">${this.getInitials(task.assignee)}</div>
-              </td>
-              <td class="list-status-cell">
-                <span class="list-status-badge ${task.status}">${task.status}</span>
-              </td>
-              <td class="list-deadline-cell">
-                ${task.deadline ? this.formatDate(task.deadline) : '-'}
-              </td>
-              <td class="list-progress-cell">${task.progress}%</td>
-            </tr>
-          `).join('') : `
+          ${tasks.length ? body : `
             <tr>
-              <td colspan="7" style="text-align: center; padding: 40px; color: var(--text-secondary);">
+              <td colspan="${span}" style="text-align: center; padding: 40px; color: var(--text-secondary);">
                 <div class="empty-state-icon">📭</div>
                 <div>No tasks found</div>
               </td>
@@ -400,24 +1752,380 @@ class MissionControl {
         </tbody>
       </table>
     `;
+    document.getElementById('listGroupBy').value = settings.groupBy;
+    
+    listContent.querySelectorAll('th[data-sort]').forEach(th => {
+      th.addEventListener('click', (e) => this.sortListBy(th.dataset.sort, e.shiftKey));
+    });
+    
+    listContent.querySelectorAll('.list-group-header').forEach(header => {
+      header.addEventListener('click', () => {
+        const groupId = header.dataset.group;
+        if (this.collapsedGroups.has(groupId)) this.collapsedGroups.delete(groupId);
+        else this.collapsedGroups.add(groupId);
+        this.renderList();
+      });
+    });
+    
+    listContent.querySelectorAll('tr[data-task-id]').forEach(row => {
+      row.addEventListener('click', (e) => {
+        if (e.shiftKey || e.metaKey || e.ctrlKey) this.toggleSelected(row.dataset.taskId);
+        else this.openTaskDetail(row.dataset.taskId);
+      });
+    });
+    
+    // Editable cells edit in place instead of opening the sidebar; the title via its ✎ button
+    listContent.querySelectorAll('td.list-editable').forEach(cell => {
+      cell.addEventListener('click', (e) => {
+        if (e.shiftKey || e.metaKey || e.ctrlKey) return;
+        e.stopPropagation();
+        this.editListCell(cell);
+      });
+    });
+    listContent.querySelectorAll('.list-edit-title').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.editListCell(button.closest('td'));
+      });
+    });
+    
+    listContent.querySelectorAll('[data-select]').forEach(box => {
+      box.addEventListener('click', (e) => e.stopPropagation());
+      box.addEventListener('change', () => this.toggleSelected(box.dataset.select, box.checked));
+    });
+    document.getElementById('selectAllTasks').addEventListener('change', (e) => {
+      this.filteredTasks.forEach(task => {
+        if (e.target.checked) this.selectedTasks.add(task.id);
+        else this.selectedTasks.delete(task.id);
+      });
+      this.render();
+    });
+    
+    listContent.querySelectorAll('.list-expand').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const taskId = button.dataset.expand;
+        if (this.expandedTasks.has(taskId)) this.expandedTasks.delete(taskId);
+        else this.expandedTasks.add(taskId);
+        this.renderList();
+      });
+    });
+    
+    listContent.querySelectorAll('.list-subtasks input[type="checkbox"]').forEach(box => {
+      box.addEventListener('change', () => this.toggleChecklistItem(box.dataset.task, box.dataset.item));
+    });
+  }
+
+  // Swap a cell for an input; Enter or leaving the field saves, Escape puts the cell back
+  editListCell(cell) {
+    const task = this.data.tasks.find(t => t.id === cell.closest('tr').dataset.taskId);
+    const column = this.getListColumns()[cell.dataset.column];
+    const field = cell.dataset.column;
+    if (!task || !column || cell.querySelector('.list-cell-editor')) return;
+    
+    const choices = typeof column.edit === 'function' ? column.edit(task) : column.edit;
+    if (Array.isArray(choices)) {
+      const labels = column.labels || {};
+      // Keep a value that is no longer an option (e.g. a removed project) so leaving the select doesn't change it
+      const options = choices.includes(task[field]) ? choices : [task[field], ...choices];
+      cell.innerHTML = `<select class="list-cell-editor">${options.map(value => `
+        <option value="${this.escapeHtml(value)}" ${task[field] === value ? 'selected' : ''}>${this.escapeHtml(labels[value] || value)}</option>
+      `).join('')}</select>`;
+    } else {
+      const type = { date: 'date', number: 'number' }[column.edit] || 'text';
+      const value = column.edit === 'tags' ? (task.tags || []).join(', ')
+        : field === 'progress' ? this.progressOf(task) : task[field] || '';
+      cell.innerHTML = `<input class="list-cell-editor" type="${type}" ${type === 'number' ? 'min="0" max="100"' : ''}
+        ${column.edit === 'tags' ? 'list="tagSuggestions" placeholder="tag, tag"' : ''} value="${this.escapeHtml(value)}">`;
+    }
+    
+    const editor = cell.querySelector('.list-cell-editor');
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      if (save) this.saveListCell(task, field, column, editor.value);
+      this.renderList();
+    };
+    editor.addEventListener('click', (e) => e.stopPropagation());
+    editor.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      else if (e.key === 'Escape') finish(false);
+    });
+    editor.addEventListener('blur', () => finish(true));
+    if (editor.tagName === 'SELECT') editor.addEventListener('change', () => finish(true));
+    editor.focus();
+  }
+
+  saveListCell(task, field, column, raw) {
+    let value = raw;
+    if (column.edit === 'tags') value = [...new Set(raw.split(',').map(tag => this.normalizeTag(tag)).filter(Boolean))];
+    else if (column.edit === 'date') value = raw || null;
+    else if (column.edit === 'number') value = Math.max(0, Math.min(100, parseInt(raw, 10) || 0));
+    else if (column.edit === 'text') value = raw.trim();
+    
+    if (field === 'title' && !value) return;
+    const current = field === 'progress' ? this.progressOf(task) : task[field];
+    if (JSON.stringify(current) === JSON.stringify(value)) return;
+    if (field === 'status' && !this.confirmUnblocked(task, value)) return;
+    
+    const changes = field === 'status' ? this.statusChanges(task, value)
+      : field === 'project' ? this.projectChanges(task, value) : { [field]: value };
+    // Same as the sidebar slider: a typed progress overrides the checklist's
+    if (field === 'progress' && (task.checklist || []).length) changes.progressManual = true;
+    this.editTask(task, changes);
+    this.updateStats();
+    this.applyFilters();
+    this.refreshSidebar();
+  }
+
+  // Columns menu: show/hide with the checkboxes, reorder with the arrows
+  toggleListColumns(open) {
+    const menu = document.getElementById('listColumnsMenu');
+    const show = open === undefined ? menu.classList.contains('hidden') : open;
+    menu.classList.toggle('hidden', !show);
+    if (!show) return;
     
-    document.querySelectorAll('.list-table tbody tr[data-task-id]').forEach(row => {
-      row.addEventListener('click', () => this.openTaskDetail(row.dataset.taskId));
+    const allColumns = this.getListColumns();
+    const { columns } = this.getListSettings();
+    const hidden = Object.keys(allColumns).filter(id => !columns.includes(id));
+    menu.innerHTML = `
+      ${[...columns, ...hidden].map(id => {
+        const index = columns.indexOf(id);
+        return `
+          <div class="list-column-option">
+            <label>
+              <input type="checkbox" data-column="${id}" ${index !== -1 ? 'checked' : ''} ${id === 'title' ? 'disabled' : ''}>
+              ${allColumns[id].label}
+            </label>
+            ${index !== -1 ? `
+              <button class="link-btn" data-move="${id}" data-by="-1" ${index === 0 ? 'disabled' : ''} title="Move left">↑</button>
+              <button class="link-btn" data-move="${id}" data-by="1" ${index === columns.length - 1 ? 'disabled' : ''} title="Move right">↓</button>
+            ` : ''}
+          </div>
+        `;
+      }).join('')}
+      <button class="link-btn" id="resetListColumns">Reset</button>
+    `;
+    const update = (next) => {
+      this.saveListSettings({ columns: next });
+      this.toggleListColumns(true);
+    };
+    menu.querySelectorAll('input[data-column]').forEach(input => {
+      input.addEventListener('change', () => {
+        update(input.checked ? [...columns, input.dataset.column] : columns.filter(id => id !== input.dataset.column));
+      });
+    });
+    menu.querySelectorAll('[data-move]').forEach(button => {
+      button.addEventListener('click', () => {
+        const next = [...columns];
+        const from = next.indexOf(button.dataset.move);
+        const to = from + Number(button.dataset.by);
+        [next[from], next[to]] = [next[to], next[from]];
+        update(next);
+      });
+    });
+    document.getElementById('resetListColumns').addEventListener('click', () => update(this.LIST_COLUMNS));
+  }
+
+  // Bulk selection
+  toggleSelected(taskId, selected = !this.selectedTasks.has(taskId)) {
+    if (selected) this.selectedTasks.add(taskId);
+    else this.selectedTasks.delete(taskId);
+    this.render();
+  }
+
+  clearSelection() {
+    if (!this.selectedTasks.size) return;
+    this.selectedTasks.clear();
+    this.render();
+  }
+
+  getSelectedTasks() {
+    return this.data.tasks.filter(t => this.selectedTasks.has(t.id));
+  }
+
+  renderBulkBar() {
+    const count = this.selectedTasks.size;
+    document.getElementById('bulkBar').classList.toggle('hidden', count === 0);
+    document.getElementById('bulkCount').textContent = `${count} selected`;
+    const fill = (id, placeholder, options) => {
+      document.getElementById(id).innerHTML = `<option value="">${placeholder}</option>` +
+        options.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('');
+    };
+    fill('bulkAssignee', 'Assignee…', this.data.assignees);
+    fill('bulkProject', 'Project…', this.projectNames());
+    // Statuses of the selected tasks' workflows; tasks whose workflow lacks the one picked are skipped
+    const statuses = this.boardStatuses(this.getSelectedTasks().map(t => t.project));
+    document.getElementById('bulkStatus').innerHTML = '<option value="">Status…</option>' +
+      statuses.map(s => `<option value="${s.id}">${this.escapeHtml(s.name)}</option>`).join('');
+  }
+
+  // Give every selected task the same field values, as one batch and one undo step.
+  // Tasks that already have them are left alone.
+  bulkUpdate(changes, label = 'bulk edit') {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const tasks = this.getSelectedTasks().filter(task => Object.keys(changes).some(f => !same(task[f], changes[f])));
+    // A new project may bring another workflow, so each task's status is mapped onto it
+    this.bulkEdit(tasks.map(task => ({ task, changes: changes.project ? { ...changes, ...this.projectChanges(task, changes.project) } : changes })), label);
+  }
+
+  // edits is [{ task, changes }]; completing a recurring task also creates its next occurrence
+  bulkEdit(edits, label, message = `✓ Updated ${edits.length} task${edits.length === 1 ? '' : 's'}`) {
+    if (!edits.length) return;
+    const operations = [];
+    edits.forEach(({ task, changes }) => {
+      const next = this.completes(task, changes) ? this.buildNextOccurrence(task) : null;
+      operations.push({ op: 'update', id: task.id, changes: next ? { ...changes, recurrence: null } : changes });
+      if (next) operations.push({ op: 'create', id: next.id, task: next });
     });
+    this.runBatch(label, operations);
+    this.afterBulkEdit(message);
+  }
+
+  bulkSetStatus(status) {
+    const tasks = this.getSelectedTasks().filter(t => t.status !== status &&
+      this.workflowFor(t.project).statuses.some(s => s.id === status));
+    if (!this.confirmUnblockedAll(tasks, status)) return;
+    this.bulkEdit(tasks.map(task => ({ task, changes: this.statusChanges(task, status) })), 'move');
+  }
+
+  bulkTag(add) {
+    const input = document.getElementById('bulkTag');
+    const tag = this.normalizeTag(input.value);
+    if (!tag) return;
+    const edits = this.getSelectedTasks()
+      .filter(task => (task.tags || []).includes(tag) !== add)
+      .map(task => ({ task, changes: { tags: add ? [...(task.tags || []), tag] : task.tags.filter(t => t !== tag) } }));
+    input.value = '';
+    this.bulkEdit(edits, add ? 'tag' : 'untag');
+  }
+
+  bulkDuplicate() {
+    const now = new Date().toISOString();
+    const copies = this.getSelectedTasks().map(task => ({
+      ...task, id: this.newTaskId(), title: `${task.title} (Copy)`, createdAt: now, updatedAt: now, duplicateOf: task.id
+    }));
+    if (!copies.length) return;
+    this.runBatch('duplicate', copies.map(task => ({ op: 'create', id: task.id, task })));
+    this.afterBulkEdit(`✓ Duplicated ${copies.length} task${copies.length === 1 ? '' : 's'}`);
+  }
+
+  bulkDelete() {
+    const tasks = this.getSelectedTasks();
+    if (!tasks.length) return;
+    this.runBatch('delete', tasks.map(task => ({ op: 'delete', id: task.id })));
+    this.selectedTasks.clear();
+    this.afterBulkEdit(`🗑️ Moved ${tasks.length} task${tasks.length === 1 ? '' : 's'} to trash`);
+  }
+
+  afterBulkEdit(message) {
+    this.updateStats();
+    this.applyFilters();
+    if (this.openTaskId && !this.data.tasks.some(t => t.id === this.openTaskId)) this.closeSidebar();
+    else this.refreshSidebar();
+    this.showToast(message, true);
   }
 
   renderCalendar() {
     const content = document.getElementById('calendarContent');
+    document.querySelectorAll('.cal-view-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.calView === this.currentCalendarView);
+    });
+    
     if (this.currentCalendarView === 'month') {
       this.renderMonthCalendar(content);
     } else if (this.currentCalendarView === 'week') {
-      content.innerHTML = '<div class="empty-state"><div class="empty-state-icon">📅</div><div class="empty-state-title">Week View</div><div class="empty-state-text">Coming soon</div></div>';
+      this.renderWeekCalendar(content);
+    } else {
+      this.renderDayCalendar(content);
+    }
+    
+    content.querySelectorAll('[data-task-id]').forEach(item => {
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openTaskDetail(item.dataset.taskId);
+      });
+    });
+    
+    // Clicking a day in month/week view drills into the day view
+    content.querySelectorAll('[data-date]').forEach(cell => {
+      cell.addEventListener('click', () => {
+        this.currentDate = this.parseDateKey(cell.dataset.date);
+        this.switchCalendarView('day');
+      });
+    });
+    
+    this.renderUnscheduled();
+    this.setupCalendarDragAndDrop();
+  }
+
+  // Tray of tasks without a deadline: drag from it to schedule, drop onto it to unschedule
+  renderUnscheduled() {
+    const tray = document.getElementById('calendarUnscheduled');
+    const tasks = this.filteredTasks.filter(t => !t.deadline && !this.isDone(t));
+    tray.innerHTML = `
+      <div class="calendar-unscheduled-header">
+        <h3>Unscheduled</h3>
+        <span class="column-count">${tasks.length}</span>
+      </div>
+      <div class="calendar-unscheduled-tasks">
+        ${tasks.length ? tasks.map(t => `
+          <div class="calendar-task-item" style="border-left: 3px solid var(--${t.priority})" data-task-id="${t.id}">${this.escapeHtml(t.title)}</div>
+        `).join('') : '<div class="empty-state-text">Drop a task here to clear its deadline</div>'}
+      </div>
+    `;
+    tray.querySelectorAll('[data-task-id]').forEach(item => {
+      item.addEventListener('click', () => this.openTaskDetail(item.dataset.taskId));
+    });
+  }
+
+  setupCalendarDragAndDrop() {
+    const view = document.getElementById('calendarView');
+    // Upcoming occurrences only exist once the current one is done, so they can't be dragged
+    view.querySelectorAll('.calendar-task-item[data-task-id]:not(.projected), .calendar-task-card[data-task-id]:not(.projected)').forEach(item => {
+      item.setAttribute('draggable', 'true');
+      item.addEventListener('dragstart', (e) => this.handleDragStart(e));
+      item.addEventListener('dragend', (e) => this.handleDragEnd(e));
+    });
+    
+    const targets = [...view.querySelectorAll('[data-date]'), document.getElementById('calendarUnscheduled')];
+    // In day view the whole panel is the current day
+    if (this.currentCalendarView === 'day') {
+      const content = document.getElementById('calendarContent');
+      content.dataset.dropDate = this.toDateKey(this.currentDate);
+      targets.push(content);
     } else {
-      content.innerHTML = '<div class="empty-state"><div class="empty-state-icon">📅</div><div class="empty-state-title">Day View</div><div class="empty-state-text">Coming soon</div></div>';
+      delete document.getElementById('calendarContent').dataset.dropDate;
     }
+    
+    targets.forEach(target => {
+      target.ondragover = (e) => {
+        e.preventDefault();
+        target.classList.add('drag-over');
+      };
+      target.ondragleave = () => target.classList.remove('drag-over');
+      target.ondrop = (e) => {
+        e.preventDefault();
+        target.classList.remove('drag-over');
+        const deadline = target.dataset.date || target.dataset.dropDate || null;
+        this.rescheduleTask(e.dataTransfer.getData('text/plain'), deadline);
+      };
+    });
+  }
+
+  rescheduleTask(taskId, deadline) {
+    const task = this.data.tasks.find(t => t.id === taskId);
+    if (!task || task.deadline === deadline) return;
+    
+    this.editTask(task, { deadline }, 'reschedule');
+    this.updateStats();
+    this.render();
+    this.showToast(deadline ? `✓ Moved to ${this.formatDate(deadline)}` : '✓ Deadline cleared', true);
   }
 
   renderMonthCalendar(content) {
+    const MONTH_CELL_LIMIT = 3; // Tasks per cell before collapsing into "+N more"
     const year = this.currentDate.getFullYear();
     const month = this.currentDate.getMonth();
     document.getElementById('calDate').textContent = this.currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
@@ -441,36 +2149,125 @@ class MissionControl {
       const date = new Date(year, month, day);
       const isToday = date.toDateString() === today.toDateString();
       const tasksOnDate = this.getTasksForDate(date);
+      const hidden = tasksOnDate.length - MONTH_CELL_LIMIT;
+      const shown = hidden > 0 ? tasksOnDate.slice(0, MONTH_CELL_LIMIT - 1) : tasksOnDate;
       
-      html += `<div class="calendar-day ${isToday ? 'today' : ''}">
+      html += `<div class="calendar-day ${isToday ? 'today' : ''}" data-date="${this.toDateKey(date)}">
         <div class="calendar-day-number">${day}</div>
         <div class="calendar-day-tasks">
-          ${tasksOnDate.map(t => `
-            <div class="calendar-task-item" style="border-left: 3px solid var(--${t.priority})" data-task-id="${t.id}">
-              ${t.title.length > 20 ? t.title.substring(0, 20) + '...' : t.title}
+          ${shown.map(t => `
+            <div class="calendar-task-item ${t.projected ? 'projected' : ''}" style="border-left: 3px solid var(--${t.priority})" data-task-id="${t.id}">
+              ${this.escapeHtml(t.title.length > 20 ? t.title.substring(0, 20) + '...' : t.title)}
             </div>
           `).join('')}
+          ${hidden > 0 ? `<div class="calendar-more">+${tasksOnDate.length - shown.length} more</div>` : ''}
         </div>
       </div>`;
     }
     
     html += '</div>';
     content.innerHTML = html;
+  }
+
+  // Sunday-to-Saturday week containing currentDate, every task due each day
+  renderWeekCalendar(content) {
+    const start = new Date(this.currentDate);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - start.getDay());
+    const days = Array.from({ length: 7 }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    document.getElementById('calDate').textContent = this.formatWeekRange(days[0], days[6]);
     
-    document.querySelectorAll('.calendar-task-item').forEach(item => {
-      item.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.openTaskDetail(item.dataset.taskId);
-      });
-    });
+    const today = new Date().toDateString();
+    content.innerHTML = `
+      <div class="calendar-week">
+        ${days.map(date => {
+          const tasks = this.getTasksForDate(date);
+          return `
+            <div class="calendar-week-day ${date.toDateString() === today ? 'today' : ''}" data-date="${this.toDateKey(date)}">
+              <div class="calendar-week-header">
+                <span class="calendar-day-header">${date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+                <span class="calendar-day-number">${date.getDate()}</span>
+              </div>
+              <div class="calendar-day-tasks">
+                ${tasks.map(t => `
+                  <div class="calendar-task-item calendar-week-task ${t.projected ? 'projected' : ''}" style="border-left: 3px solid var(--${t.priority})" data-task-id="${t.id}" title="${this.escapeHtml(t.title)}">
+                    <div class="calendar-week-task-title">${this.escapeHtml(t.title)}</div>
+                    <div class="calendar-week-task-meta">${this.escapeHtml(t.project)} · ${this.escapeHtml(this.getInitials(t.assignee))}</div>
+                  </div>
+                `).join('')}
+              </div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
   }
 
+  renderDayCalendar(content) {
+    document.getElementById('calDate').textContent = this.currentDate.toLocaleDateString('en-US', {
+      weekday: 'long', month: 'long', day: 'numeric', year: 'numeric'
+    });
+    
+    const tasks = this.getTasksForDate(this.currentDate);
+    content.innerHTML = tasks.length ? `
+      <div class="calendar-day-view">
+        ${tasks.map(task => `
+          <div class="calendar-task-card ${task.projected ? 'projected' : ''}" data-task-id="${task.id}">
+            <div class="task-priority ${task.priority}"></div>
+            <div class="task-project">${this.escapeHtml(task.project)}</div>
+            <div class="task-title">${this.escapeHtml(task.title)}</div>
+            ${task.nextAction ? `<div class="calendar-task-next">→ ${this.escapeHtml(task.nextAction)}</div>` : ''}
+            <div class="task-meta">
+              ${task.projected ? '<span class="task-recurring">🔁 Upcoming</span>' : this.statusBadge(task)}
+              <div class="task-assignee">${this.escapeHtml(this.getInitials(task.assignee))}</div>
+              <span>${this.escapeHtml(task.assignee)}</span>
+              <span class="calendar-task-percent">${this.progressOf(task)}%</span>
+            </div>
+            <div class="task-progress">
+              <div class="task-progress-bar" style="width: ${this.progressOf(task)}%"></div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    ` : `
+      <div class="empty-state">
+        <div class="empty-state-icon">📭</div>
+        <div class="empty-state-text">Nothing due this day</div>
+      </div>
+    `;
+  }
+
+  // "Feb 1 – 7, 2026", "Jan 29 – Feb 4, 2026" or "Dec 28, 2025 – Jan 3, 2026"
+  formatWeekRange(start, end) {
+    const sameYear = start.getFullYear() === end.getFullYear();
+    const sameMonth = sameYear && start.getMonth() === end.getMonth();
+    const from = start.toLocaleDateString('en-US', sameYear ? { month: 'short', day: 'numeric' } : { month: 'short', day: 'numeric', year: 'numeric' });
+    const to = end.toLocaleDateString('en-US', sameMonth ? { day: 'numeric' } : { month: 'short', day: 'numeric' });
+    return `${from} – ${to}, ${end.getFullYear()}`;
+  }
+
+  // Local-time YYYY-MM-DD (deadlines are stored as plain dates, not instants)
+  toDateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  // Tasks due on a date, followed by upcoming occurrences of recurring tasks (marked `projected`)
   getTasksForDate(date) {
-    return this.filteredTasks.filter(task => {
-      if (!task.deadline) return false;
-      const taskDate = new Date(task.deadline);
-      return taskDate.toDateString() === date.toDateString();
+    const key = this.toDateKey(date);
+    const due = this.filteredTasks.filter(task => task.deadline === key);
+    const upcoming = this.filteredTasks.filter(task => {
+      if (!task.recurrence || !task.deadline || this.isDone(task)) return false;
+      let next = task.deadline;
+      while (next && next < key) next = TaskSchema.nextOccurrence(task.recurrence, next);
+      return next === key && next !== task.deadline;
     });
+    return [...due, ...upcoming.map(task => ({ ...task, deadline: key, projected: true }))];
   }
 
   navigateCalendar(direction) {
@@ -484,72 +2281,408 @@ class MissionControl {
     this.renderCalendar();
   }
 
+  // Copy the .ics feed URL for the current assignee/project filters
+  async copyCalendarFeed() {
+    const params = new URLSearchParams();
+    const assignee = this.getAssigneeFilter();
+    if (this.user && this.user.feedToken) params.set('token', this.user.feedToken);
+    const project = document.getElementById('filterProject').value;
+    if (assignee !== 'all') params.set('assignee', assignee);
+    if (project !== 'all') params.set('project', project);
+    const query = params.toString();
+    const url = `${window.location.origin}${this.API_BASE}/calendar.ics${query ? `?${query}` : ''}`;
+    
+    try {
+      await navigator.clipboard.writeText(url);
+      this.showToast('✓ Calendar link copied - add it as a subscription');
+    } catch (error) {
+      prompt('Subscribe to this calendar URL:', url);
+    }
+  }
+
   goToToday() {
     this.currentDate = new Date();
     this.renderCalendar();
   }
 
   updateStats() {
-    const active = this.data.tasks.filter(t => t.status !== 'done').length;
+    const active = this.data.tasks.filter(t => !this.isDone(t)).length;
     const overdue = this.data.tasks.filter(t => {
-      if (!t.deadline || t.status === 'done') return false;
-      const deadlineDate = new Date(t.deadline);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      deadlineDate.setHours(0, 0, 0, 0);
-      return deadlineDate < today;
+      if (!t.deadline || this.isDone(t)) return false;
+      return t.deadline < this.toDateKey(new Date());
     }).length;
+    const blocked = this.data.tasks.filter(t => !this.isDone(t) && this.blockers(t).length).length;
     
     const today = new Date().toISOString().split('T')[0];
     const doneToday = this.data.tasks.filter(t => 
-      t.status === 'done' && t.updatedAt && t.updatedAt.startsWith(today)
+      this.isDone(t) && t.updatedAt && t.updatedAt.startsWith(today)
     ).length;
     
     const totalTasks = this.data.tasks.length;
     if (totalTasks === 0) {
       document.getElementById('statProgress').textContent = '0%';
     } else {
-      const totalProgress = this.data.tasks.reduce((sum, t) => {
-        if (t.status === 'done') return sum + 100;
-        return sum + (parseInt(t.progress) || 0);
-      }, 0);
+      const totalProgress = this.data.tasks.reduce((sum, t) => sum + this.progressOf(t), 0);
       const avgProgress = Math.round(totalProgress / totalTasks);
       document.getElementById('statProgress').textContent = `${avgProgress}%`;
     }
     
     document.getElementById('statActive').textContent = active;
     document.getElementById('statOverdue').textContent = overdue;
+    document.getElementById('statBlocked').textContent = blocked;
     document.getElementById('statDoneToday').textContent = doneToday;
   }
 
+  /**
+   * Command palette entries are { id, title, group, run(), when?() }. Features register fixed
+   * commands with registerCommand; registerCommandSource takes a function that returns entries
+   * built from the current data (tasks, projects, views) each time the palette opens.
+   */
+  registerCommand(command) {
+    this.commands.push(command);
+  }
+
+  registerCommandSource(source) {
+    this.commandSources.push(source);
+  }
+
+  // The task the sidebar is showing, which the "selected task" commands act on
+  getSelectedTask() {
+    return this.openTaskId ? this.data.tasks.find(t => t.id === this.openTaskId) : null;
+  }
+
+  setupCommands() {
+    [['kanban', '⊞ Kanban'], ['list', '☰ List'], ['calendar', '📅 Calendar']].forEach(([view, label]) => {
+      this.registerCommand({ id: `view.${view}`, group: 'View', title: `Switch to ${label}`, run: () => this.switchView(view) });
+    });
+    this.registerCommand({ id: 'task.new', group: 'Task', title: 'New task', run: () => this.openNewTaskModal() });
+    this.registerCommand({ id: 'task.quickAdd', group: 'Task', title: 'Quick add', run: () => this.openQuickAdd() });
+    this.registerCommand({ id: 'theme.toggle', group: 'Theme', title: 'Toggle light/dark theme', run: () => this.toggleTheme() });
+    this.registerCommand({ id: 'edit.undo', group: 'Edit', title: 'Undo', when: () => this.undoStack.length > 0, run: () => this.undo() });
+    this.registerCommand({ id: 'edit.redo', group: 'Edit', title: 'Redo', when: () => this.redoStack.length > 0, run: () => this.redo() });
+    this.registerCommand({ id: 'view.save', group: 'View', title: 'Save current view', run: () => this.saveCurrentView() });
+    this.registerCommand({ id: 'filters.clear', group: 'Filter', title: 'Clear search and filters', run: () => this.clearFilters() });
+    this.registerCommand({ id: 'app.trash', group: 'Go to', title: 'Trash', run: () => this.openTrash() });
+    this.registerCommand({ id: 'project.new', group: 'Project', title: 'New project', when: () => this.isAdmin(), run: () => this.openProjectModal() });
+    this.registerCommand({ id: 'app.settings', group: 'Go to', title: 'Settings', run: () => this.openSettingsModal() });
+    this.registerCommand({ id: 'app.notifications', group: 'Go to', title: 'Notifications', run: () => this.toggleNotifications(true) });
+    this.registerCommand({ id: 'app.shortcuts', group: 'Help', title: 'Keyboard shortcuts', run: () => this.showShortcuts() });
+    
+    this.registerCommandSource(() => this.data.tasks.map(task => ({
+      id: `task.open.${task.id}`, group: 'Open task', title: task.title, detail: task.project, run: () => this.openTaskDetail(task.id)
+    })));
+    this.registerCommandSource(() => this.data.projects.flatMap(project => [{
+      id: `filter.project.${project.name}`, group: 'Filter', title: `Project: ${project.name}`, run: () => this.filterByProject(project.name)
+    }, {
+      id: `project.overview.${project.id}`, group: 'Go to', title: `${project.name} overview`, detail: project.client, run: () => this.goToProject(project.id)
+    }]));
+    this.registerCommandSource(() => (this.data.settings.views || []).map(view => ({
+      id: `view.open.${view.id}`, group: 'Saved view', title: view.name, detail: view.query, run: () => this.goToSavedView(view.id)
+    })));
+    this.registerCommandSource(() => {
+      const task = this.getSelectedTask();
+      if (!task) return [];
+      return [
+        ...this.workflowFor(task.project).statuses.filter(status => status.id !== task.status).map(status => ({
+          id: `task.move.${status.id}`, group: 'Selected task', title: `Move to ${status.name}`, detail: task.title,
+          run: () => this.updateTaskStatus(task.id, status.id)
+        })),
+        ...this.data.assignees.filter(name => name !== task.assignee).map(name => ({
+          id: `task.assign.${name}`, group: 'Selected task', title: `Assign to ${name}`, detail: task.title,
+          run: () => this.assignTask(task.id, name)
+        }))
+      ];
+    });
+    this.registerCommandSource(() => {
+      const count = this.selectedTasks.size;
+      if (!count) return [];
+      const detail = `${count} selected`;
+      return [
+        ...this.boardStatuses(this.getSelectedTasks().map(t => t.project)).map(status => ({
+          id: `selection.move.${status.id}`, group: 'Selection', title: `Move selected to ${status.name}`, detail, run: () => this.bulkSetStatus(status.id)
+        })),
+        { id: 'selection.duplicate', group: 'Selection', title: 'Duplicate selected', detail, run: () => this.bulkDuplicate() },
+        { id: 'selection.delete', group: 'Selection', title: 'Delete selected', detail, run: () => this.bulkDelete() },
+        { id: 'selection.clear', group: 'Selection', title: 'Clear selection', detail, run: () => this.clearSelection() }
+      ];
+    });
+  }
+
+  openCommandPalette() {
+    const input = document.getElementById('commandInput');
+    input.value = '';
+    this.paletteIndex = 0;
+    this.renderCommandPalette();
+    document.getElementById('commandPalette').classList.remove('hidden');
+    input.focus();
+  }
+
+  // Subsequence match: every query character in order, with runs and word starts scoring higher; -1 if no match
+  fuzzyScore(query, text) {
+    const lower = text.toLowerCase();
+    let score = 0;
+    let last = -1;
+    for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+      const index = lower.indexOf(char, last + 1);
+      if (index === -1) return -1;
+      score += index === last + 1 ? 3 : 1;
+      if (index === 0 || /[\s:/-]/.test(lower[index - 1])) score += 2;
+      last = index;
+    }
+    return score - lower.length / 100;
+  }
+
+  renderCommandPalette() {
+    const query = document.getElementById('commandInput').value.trim();
+    const entries = [
+      ...this.commands.filter(command => !command.when || command.when()),
+      ...this.commandSources.flatMap(source => source())
+    ];
+    this.paletteResults = entries
+      .map(entry => ({ entry, score: query ? this.fuzzyScore(query, `${entry.title} ${entry.group}`) : 0 }))
+      .filter(result => result.score >= 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 50)
+      .map(result => result.entry);
+    this.paletteIndex = Math.min(this.paletteIndex, Math.max(this.paletteResults.length - 1, 0));
+    
+    const list = document.getElementById('commandList');
+    list.innerHTML = this.paletteResults.length ? this.paletteResults.map((entry, index) => `
+      <div class="command-item ${index === this.paletteIndex ? 'selected' : ''}" data-index="${index}">
+        <span class="command-title">${this.escapeHtml(entry.title)}</span>
+        ${entry.detail ? `<span class="command-detail">${this.escapeHtml(entry.detail)}</span>` : ''}
+        <span class="command-group">${entry.group}</span>
+      </div>
+    `).join('') : '<div class="command-empty">No matching commands</div>';
+    list.querySelectorAll('.command-item').forEach(item => {
+      item.addEventListener('click', () => this.runPaletteCommand(Number(item.dataset.index)));
+    });
+    const selected = list.querySelector('.command-item.selected');
+    if (selected && selected.scrollIntoView) selected.scrollIntoView({ block: 'nearest' });
+  }
+
+  handlePaletteKey(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const count = this.paletteResults.length;
+      if (!count) return;
+      this.paletteIndex = (this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+      this.renderCommandPalette();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.runPaletteCommand(this.paletteIndex);
+    } else if (e.key === 'Escape') {
+      this.closeModal('commandPalette');
+    }
+  }
+
+  runPaletteCommand(index) {
+    const entry = this.paletteResults[index];
+    if (!entry) return;
+    this.closeModal('commandPalette');
+    entry.run();
+  }
+
+  assignTask(taskId, assignee) {
+    const task = this.data.tasks.find(t => t.id === taskId);
+    if (!task || task.assignee === assignee) return;
+    this.editTask(task, { assignee }, 'reassign');
+    this.applyFilters();
+    if (this.openTaskId === taskId) this.openTaskDetail(taskId);
+    this.showToast(`✓ Assigned to ${assignee}`, true);
+  }
+
+  filterByProject(project) {
+    document.getElementById('filterProject').value = project;
+    this.applyFilters();
+  }
+
+  clearFilters() {
+    document.getElementById('searchInput').value = '';
+    ['filterAssignee', 'filterProject', 'filterPriority'].forEach(id => { document.getElementById(id).value = 'all'; });
+    this.tagFilter.clear();
+    this.applyFilters();
+  }
+
+  // The assignee filter value, with "My tasks" resolved to the signed-in user's assignee
+  getAssigneeFilter() {
+    const value = document.getElementById('filterAssignee').value;
+    return value === 'me' ? (this.user && this.user.assignee) || 'all' : value;
+  }
+
+  // Recompute filteredTasks from the dropdowns, the tag filter and the search query together, then re-render
   applyFilters() {
-    const assigneeFilter = document.getElementById('filterAssignee').value;
+    const assigneeFilter = this.getAssigneeFilter();
     const projectFilter = document.getElementById('filterProject').value;
     const priorityFilter = document.getElementById('filterPriority').value;
+    const searchInput = document.getElementById('searchInput');
+    const query = TaskQuery.parseQuery(searchInput.value);
+    const context = { today: this.toDateKey(new Date()), me: this.user && this.user.assignee, isDone: t => this.isDone(t) };
     
     this.filteredTasks = this.data.tasks.filter(task => {
       if (assigneeFilter !== 'all' && task.assignee !== assigneeFilter) return false;
       if (projectFilter !== 'all' && task.project !== projectFilter) return false;
       if (priorityFilter !== 'all' && task.priority !== priorityFilter) return false;
-      return true;
+      if (this.tagFilter.size && !(task.tags || []).some(tag => this.tagFilter.has(tag))) return false;
+      return TaskQuery.matchesQuery(task, query, context);
     });
     
+    // Malformed parts of the query are skipped; say which ones
+    searchInput.classList.toggle('invalid', query.errors.length > 0);
+    searchInput.title = query.errors.length ? `Ignored: ${query.errors.join('; ')}` : '';
+    const tags = [...this.tagFilter];
+    document.getElementById('filterTagsBtn').textContent = !tags.length ? 'All' : tags.length === 1 ? `#${tags[0]}` : `${tags.length} tags`;
+    this.syncActiveView();
     this.render();
   }
 
-  search(query) {
-    if (!query) {
-      this.applyFilters();
+  toggleTagFilter(open) {
+    const menu = document.getElementById('filterTagsMenu');
+    const show = open === undefined ? menu.classList.contains('hidden') : open;
+    menu.classList.toggle('hidden', !show);
+    if (!show) return;
+    
+    const tags = this.getTags();
+    menu.innerHTML = tags.length ? `
+      ${tags.map(tag => `
+        <label class="tag-filter-option">
+          <input type="checkbox" value="${tag.name}" ${this.tagFilter.has(tag.name) ? 'checked' : ''}>
+          ${this.tagChip(tag.name)}
+        </label>
+      `).join('')}
+      <button class="link-btn" id="clearTagFilter">Clear</button>
+    ` : '<div class="tag-filter-empty">No tags yet</div>';
+    menu.querySelectorAll('input').forEach(input => {
+      input.addEventListener('change', () => {
+        if (input.checked) this.tagFilter.add(input.value);
+        else this.tagFilter.delete(input.value);
+        this.applyFilters();
+      });
+    });
+    const clear = document.getElementById('clearTagFilter');
+    if (clear) {
+      clear.addEventListener('click', () => {
+        this.tagFilter.clear();
+        this.applyFilters();
+        this.toggleTagFilter(true);
+      });
+    }
+  }
+
+  // Saved views (settings.views) remember the search, filters and view: { id, name, query, assignee,
+  // project, priority, tags, view, pinned }. Pinned ones sit next to the view toggle; #view=<id> opens one.
+  currentViewState() {
+    return {
+      query: document.getElementById('searchInput').value.trim(),
+      assignee: document.getElementById('filterAssignee').value,
+      project: document.getElementById('filterProject').value,
+      priority: document.getElementById('filterPriority').value,
+      tags: [...this.tagFilter].sort(),
+      view: this.currentView
+    };
+  }
+
+  saveCurrentView() {
+    const name = prompt('Name this view:');
+    if (!name || !name.trim()) return;
+    const views = this.data.settings.views || (this.data.settings.views = []);
+    const view = { id: `view-${Date.now()}`, name: name.trim(), ...this.currentViewState(), pinned: true };
+    views.push(view);
+    this.saveData();
+    this.activeViewId = view.id;
+    history.replaceState(null, '', `#view=${view.id}`);
+    this.renderPinnedViews();
+    this.showToast(`✓ Saved view "${view.name}"`);
+  }
+
+  openViewFromHash() {
+    const match = /^#view=(.+)$/.exec(location.hash);
+    if (match) this.openSavedView(decodeURIComponent(match[1]));
+    const project = /^#project=(.+)$/.exec(location.hash);
+    if (project) this.openProjectOverview(decodeURIComponent(project[1]));
+  }
+
+  // Going through the hash keeps views linkable and lets Back return to the previous one
+  goToSavedView(viewId) {
+    if (location.hash === `#view=${viewId}`) this.openSavedView(viewId);
+    else location.hash = `view=${viewId}`;
+  }
+
+  openSavedView(viewId) {
+    const view = (this.data.settings.views || []).find(v => v.id === viewId);
+    if (!view) {
+      this.showToast('⚠️ That saved view no longer exists');
       return;
     }
     
-    query = query.toLowerCase();
-    this.filteredTasks = this.data.tasks.filter(task => 
-      task.title.toLowerCase().includes(query) || 
-      task.notes.toLowerCase().includes(query) ||
-      task.project.toLowerCase().includes(query)
-    );
-    this.render();
+    // Options that have since been removed fall back to "All"
+    const select = (id, value) => {
+      const element = document.getElementById(id);
+      element.value = value;
+      if (element.value !== value) element.value = 'all';
+    };
+    document.getElementById('searchInput').value = view.query || '';
+    select('filterAssignee', view.assignee || 'all');
+    select('filterProject', view.project || 'all');
+    select('filterPriority', view.priority || 'all');
+    this.tagFilter = new Set(view.tags || []);
+    this.activeViewId = view.id;
+    if (view.view && view.view !== this.currentView) this.switchView(view.view);
+    this.applyFilters();
+    this.renderPinnedViews();
+  }
+
+  // A view stays active (highlighted, in the URL) until the filters move away from it
+  syncActiveView() {
+    if (!this.activeViewId) return;
+    const view = (this.data.settings.views || []).find(v => v.id === this.activeViewId);
+    const state = this.currentViewState();
+    if (view && Object.keys(state).every(key => JSON.stringify(view[key]) === JSON.stringify(state[key]))) return;
+    this.activeViewId = null;
+    if (location.hash.startsWith('#view=')) history.replaceState(null, '', location.pathname + location.search);
+    this.renderPinnedViews();
+  }
+
+  renderPinnedViews() {
+    const views = (this.data.settings.views || []).filter(view => view.pinned);
+    const container = document.getElementById('pinnedViews');
+    container.innerHTML = views.map(view => `
+      <button class="saved-view-btn ${view.id === this.activeViewId ? 'active' : ''}" data-saved-view="${view.id}" title="${this.escapeHtml(view.query || view.name)}">${this.escapeHtml(view.name)}</button>
+    `).join('');
+    container.querySelectorAll('[data-saved-view]').forEach(button => {
+      button.addEventListener('click', () => this.goToSavedView(button.dataset.savedView));
+    });
+  }
+
+  renderViewSettings() {
+    const views = this.data.settings.views || [];
+    document.getElementById('savedViewsList').innerHTML = views.length ? views.map(view => `
+      <div class="saved-view-row">
+        <label><input type="checkbox" ${view.pinned ? 'checked' : ''} onchange="app.setViewPinned('${view.id}', this.checked)"> Pin</label>
+        <a href="#view=${view.id}" class="saved-view-name" onclick="app.closeModal('settingsModal')">${this.escapeHtml(view.name)}</a>
+        <span class="saved-view-query">${this.escapeHtml(view.query || '')}</span>
+        <button onclick="app.removeSavedView('${view.id}')" title="Remove">✕</button>
+      </div>
+    `).join('') : '<div class="tag-filter-empty">Save the current filters with "＋ Save view"</div>';
+  }
+
+  setViewPinned(viewId, pinned) {
+    const view = (this.data.settings.views || []).find(v => v.id === viewId);
+    if (!view) return;
+    view.pinned = pinned;
+    this.saveData();
+    this.renderPinnedViews();
+  }
+
+  removeSavedView(viewId) {
+    this.data.settings.views = (this.data.settings.views || []).filter(v => v.id !== viewId);
+    this.saveData();
+    if (this.activeViewId === viewId) {
+      this.activeViewId = null;
+      history.replaceState(null, '', location.pathname + location.search);
+    }
+    this.renderPinnedViews();
+    this.renderViewSettings();
   }
 
   openNewTaskModal() {
@@ -557,11 +2690,21 @@ class MissionControl {
     const form = document.getElementById('newTaskForm');
     
     const projectSelect = form.querySelector('[name="project"]');
-    projectSelect.innerHTML = this.data.projects.map(p => `<option value="${p}">${p}</option>`).join('');
+    projectSelect.innerHTML = this.projectNames().map(p => `<option value="${p}">${p}</option>`).join('');
     
     const assigneeSelect = form.querySelector('[name="assignee"]');
     assigneeSelect.innerHTML = this.data.assignees.map(a => `<option value="${a}">${a}</option>`).join('');
     
+    const statusSelect = form.querySelector('[name="status"]');
+    const fillStatuses = () => {
+      const project = projectSelect.value;
+      statusSelect.innerHTML = this.statusOptions(project, TaskSchema.initialStatus(this.workflowFor(project)));
+    };
+    projectSelect.onchange = fillStatuses;
+    fillStatuses();
+    
+    this.newTaskTags = [];
+    this.renderNewTaskTags();
     modal.classList.remove('hidden');
   }
 
@@ -571,7 +2714,7 @@ class MissionControl {
     const formData = new FormData(form);
     
     const task = {
-      id: `task-${Date.now()}`,
+      id: this.newTaskId(),
       title: formData.get('title'),
       project: formData.get('project'),
       status: formData.get('status'),
@@ -581,19 +2724,96 @@ class MissionControl {
       effort: formData.get('effort'),
       progress: 0,
       nextAction: formData.get('nextAction') || '',
-      tags: [],
+      tags: this.newTaskTags,
       notes: formData.get('notes') || '',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     
     this.data.tasks.push(task);
-    this.saveData();
+    this.sync('POST', '/tasks', task);
+    this.record('create', () => this.trashTask(task.id), () => this.restoreTask(task));
     this.updateStats();
     this.applyFilters();
     this.closeModal('newTaskModal');
+    this.newTaskTags = [];
     form.reset();
-    this.showToast('✓ Task created');
+    this.showToast('✓ Task created', true);
+  }
+
+  renderNewTaskTags() {
+    this.renderTagInput(document.getElementById('newTaskTags'), this.newTaskTags, (tags) => {
+      this.newTaskTags = tags;
+      this.renderNewTaskTags();
+    });
+  }
+
+  // Tag names are lowercase words joined with dashes, like the ones in data.json
+  normalizeTag(text) {
+    return text.trim().toLowerCase().replace(/^#/, '').replace(/['"<>&]/g, '').replace(/\s+/g, '-');
+  }
+
+  // Every known tag with its color: those listed in settings plus any used on a task
+  getTags() {
+    const names = new Set([
+      ...(this.data.settings.tags || []).map(tag => tag.name),
+      ...this.data.tasks.flatMap(task => task.tags || [])
+    ]);
+    return [...names].sort().map(name => ({ name, color: this.tagColor(name) }));
+  }
+
+  tagColor(name) {
+    const defined = (this.data.settings.tags || []).find(tag => tag.name === name);
+    if (defined) return defined.color;
+    const hash = [...name].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+    return this.TAG_COLORS[hash % this.TAG_COLORS.length];
+  }
+
+  tagChip(name) {
+    return `<span class="tag-chip" style="--tag-color: ${this.tagColor(name)}">${this.escapeHtml(name)}</span>`;
+  }
+
+  tagChips(tags) {
+    return (tags || []).length ? `<span class="task-tags">${tags.map(tag => this.tagChip(tag)).join('')}</span>` : '';
+  }
+
+  // Chip editor with autocomplete from #tagSuggestions; onChange gets the new tag array and re-renders
+  renderTagInput(container, tags, onChange) {
+    container.innerHTML = `
+      <div class="tag-input">
+        ${tags.map(tag => `
+          <span class="tag-chip" style="--tag-color: ${this.tagColor(tag)}">
+            ${this.escapeHtml(tag)}<button type="button" data-remove-tag="${tag}" title="Remove">✕</button>
+          </span>
+        `).join('')}
+        <input type="text" list="tagSuggestions" placeholder="${tags.length ? '' : 'Add tags...'}">
+      </div>
+    `;
+    document.getElementById('tagSuggestions').innerHTML = this.getTags()
+      .filter(tag => !tags.includes(tag.name))
+      .map(tag => `<option value="${tag.name}"></option>`).join('');
+    
+    const input = container.querySelector('input');
+    const add = () => {
+      const tag = this.normalizeTag(input.value);
+      input.value = '';
+      if (!tag || tags.includes(tag)) return;
+      onChange([...tags, tag]);
+      container.querySelector('input').focus();
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        add();
+      } else if (e.key === 'Backspace' && !input.value && tags.length) {
+        onChange(tags.slice(0, -1));
+        container.querySelector('input').focus();
+      }
+    });
+    input.addEventListener('change', add); // Picking a suggestion or leaving the field
+    container.querySelectorAll('[data-remove-tag]').forEach(button => {
+      button.addEventListener('click', () => onChange(tags.filter(tag => tag !== button.dataset.removeTag)));
+    });
   }
 
   openTaskDetail(taskId) {
@@ -602,17 +2822,22 @@ class MissionControl {
     
     const sidebar = document.getElementById('taskSidebar');
     const content = document.getElementById('sidebarContent');
+    if (taskId !== this.openTaskId) {
+      this.replyTo = null;
+      this.editingCommentId = null;
+    }
+    this.openTaskId = taskId;
     
     content.innerHTML = `
       <div class="form-group">
         <label>Title</label>
-        <input type="text" value="${task.title}" data-field="title">
+        <input type="text" value="${this.escapeHtml(task.title)}" data-field="title">
       </div>
       <div class="form-row">
         <div class="form-group">
           <label>Project</label>
           <select data-field="project">
-            ${this.data.projects.map(p => `<option value="${p}" ${p === task.project ? 'selected' : ''}>${p}</option>`).join('')}
+            ${[...new Set([task.project, ...this.projectNames()])].map(p => `<option value="${p}" ${p === task.project ? 'selected' : ''}>${p}</option>`).join('')}
           </select>
         </div>
         <div class="form-group">
@@ -622,16 +2847,14 @@ class MissionControl {
           </select>
         </div>
       </div>
+      <div class="form-group">
+        <label>Tags</label>
+        <div id="sidebarTags"></div>
+      </div>
       <div class="form-row">
         <div class="form-group">
           <label>Status</label>
-          <select data-field="status">
-            <option value="backlog" ${task.status === 'backlog' ? 'selected' : ''}>Backlog</option>
-            <option value="todo" ${task.status === 'todo' ? 'selected' : ''}>To Do</option>
-            <option value="doing" ${task.status === 'doing' ? 'selected' : ''}>Doing</option>
-            <option value="review" ${task.status === 'review' ? 'selected' : ''}>Review</option>
-            <option value="done" ${task.status === 'done' ? 'selected' : ''}>Done</option>
-          </select>
+          <select data-field="status">${this.statusOptions(task.project, task.status)}</select>
         </div>
         <div class="form-group">
           <label>Priority</label>
@@ -645,8 +2868,20 @@ class MissionControl {
       </div>
       <div class="form-group">
         <label>Progress</label>
-        <input type="range" min="0" max="100" value="${task.progress}" data-field="progress">
-        <span id="progressValue">${task.progress}%</span>
+        <input type="range" min="0" max="100" value="${this.progressOf(task)}" data-field="progress">
+        <span id="progressValue">${this.progressOf(task)}%</span>
+      </div>
+      <div class="form-group">
+        <label>Checklist</label>
+        <div id="checklistSection"></div>
+      </div>
+      <div class="form-group">
+        <label>Repeat</label>
+        <div id="recurrenceSection"></div>
+      </div>
+      <div class="form-group">
+        <label>Dependencies</label>
+        <div id="dependencySection"></div>
       </div>
       <div class="form-group">
         <label>Deadline</label>
@@ -664,123 +2899,1439 @@ class MissionControl {
         <button class="btn-secondary" onclick="app.deleteTask('${taskId}')">Delete</button>
         <button class="btn-secondary" onclick="app.duplicateTask('${taskId}')">Duplicate</button>
       </div>
+      <div class="form-group">
+        <label>Comments</label>
+        <div class="comment-list" id="commentList"><div class="comment-empty">Loading...</div></div>
+        <div class="comment-composer">
+          <div class="comment-replying hidden" id="commentReplying"></div>
+          <textarea rows="3" id="commentInput" placeholder="Write a comment... Markdown and @mentions work"></textarea>
+          <button class="btn-primary" onclick="app.postComment('${taskId}')">Comment</button>
+        </div>
+      </div>
+      <div class="form-group">
+        <label>Activity</label>
+        <div class="activity-log" id="activityLog"><div class="activity-empty">Loading...</div></div>
+      </div>
     `;
+    this.renderChecklist(task);
+    this.renderSidebarTags(task);
+    this.renderRecurrence(task);
+    this.renderDependencies(task);
+    this.loadComments(taskId);
+    this.loadHistory(taskId);
     
     content.querySelectorAll('[data-field]').forEach(input => {
       input.addEventListener('change', (e) => {
         const field = e.target.dataset.field;
-        task[field] = e.target.value;
-        task.updatedAt = new Date().toISOString();
-        this.saveData();
+        let value = e.target.value;
+        if (field === 'progress') value = parseInt(value, 10);
+        if (field === 'deadline') value = value || null;
+        if (field === 'status' && !this.confirmUnblocked(task, value)) {
+          e.target.value = task.status;
+          return;
+        }
+        const changes = field === 'status' ? this.statusChanges(task, value)
+          : field === 'project' ? this.projectChanges(task, value) : { [field]: value };
+        // Moving the slider on a task with a checklist overrides the computed progress
+        if (field === 'progress' && (task.checklist || []).length) changes.progressManual = true;
+        this.editTask(task, changes);
         this.updateStats();
         this.render();
-        if (field === 'progress') {
-          document.getElementById('progressValue').textContent = `${e.target.value}%`;
-        }
+        // Another project may mean another workflow, with its own statuses
+        if (field === 'project') content.querySelector('[data-field="status"]').innerHTML = this.statusOptions(task.project, task.status);
+        this.renderChecklist(task);
+        this.renderRecurrence(task);
       });
     });
     
     sidebar.classList.remove('hidden');
   }
 
-  closeSidebar() {
-    document.getElementById('taskSidebar').classList.add('hidden');
+  renderChecklist(task) {
+    const section = document.getElementById('checklistSection');
+    if (!section) return;
+    const checklist = task.checklist || [];
+    
+    section.innerHTML = `
+      ${checklist.length ? `
+        <div class="checklist-summary">
+          ${this.checklistSummary(task)} ·
+          ${task.progressManual
+            ? `progress set by hand <button class="link-btn" onclick="app.useChecklistProgress('${task.id}')">Use checklist</button>`
+            : 'drives progress'}
+        </div>
+      ` : ''}
+      ${checklist.map(item => `
+        <div class="checklist-item ${item.done ? 'done' : ''}">
+          <input type="checkbox" ${item.done ? 'checked' : ''} onchange="app.toggleChecklistItem('${task.id}', '${item.id}')">
+          <input type="text" value="${this.escapeHtml(item.text)}" onchange="app.renameChecklistItem('${task.id}', '${item.id}', this.value)">
+          <button onclick="app.removeChecklistItem('${task.id}', '${item.id}')" title="Remove">✕</button>
+        </div>
+      `).join('')}
+      <div class="add-item">
+        <input type="text" id="newChecklistItem" placeholder="Add an item...">
+        <button onclick="app.addChecklistItem('${task.id}')">Add</button>
+      </div>
+    `;
+    document.getElementById('newChecklistItem').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addChecklistItem(task.id);
+    });
+    
+    // Keep the slider in step with the computed value
+    const percent = this.progressOf(task);
+    document.querySelector('#sidebarContent [data-field="progress"]').value = percent;
+    document.getElementById('progressValue').textContent = `${percent}%`;
   }
 
-  deleteTask(taskId) {
-    if (!confirm('Delete this task?')) return;
-    this.data.tasks = this.data.tasks.filter(t => t.id !== taskId);
-    this.saveData();
-    this.updateStats();
-    this.closeSidebar();
-    this.applyFilters();
-    this.showToast('✓ Task deleted');
+  renderSidebarTags(task) {
+    this.renderTagInput(document.getElementById('sidebarTags'), task.tags || [], (tags) => {
+      this.editTask(task, { tags }, 'tag change');
+      this.render();
+      this.renderSidebarTags(task);
+    });
   }
 
-  duplicateTask(taskId) {
+  renderRecurrence(task) {
+    const section = document.getElementById('recurrenceSection');
+    if (!section) return;
+    const rule = task.recurrence;
+    const units = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' };
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const next = rule && task.deadline ? TaskSchema.nextOccurrence(rule, task.deadline) : null;
+    
+    section.innerHTML = `
+      <div class="recurrence-row">
+        <select id="recurrenceFrequency">
+          <option value="">Doesn't repeat</option>
+          ${TaskSchema.RECURRENCE_FREQUENCIES.map(f => `<option value="${f}" ${rule && rule.frequency === f ? 'selected' : ''}>${f[0].toUpperCase()}${f.slice(1)}</option>`).join('')}
+        </select>
+        ${rule ? `
+          every <input type="number" id="recurrenceInterval" min="1" max="365" value="${rule.interval || 1}"> ${units[rule.frequency]}
+        ` : ''}
+      </div>
+      ${rule && rule.frequency === 'weekly' ? `
+        <div class="recurrence-row recurrence-weekdays">
+          ${dayNames.map((name, day) => `
+            <label><input type="checkbox" value="${day}" ${(rule.weekdays || []).includes(day) ? 'checked' : ''}> ${name}</label>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${rule && rule.frequency === 'monthly' ? `
+        <div class="recurrence-row">on day <input type="number" id="recurrenceMonthDay" min="1" max="31" value="${rule.monthDay || ''}"></div>
+      ` : ''}
+      ${rule ? `
+        <div class="recurrence-row">until <input type="date" id="recurrenceUntil" value="${rule.until || ''}"></div>
+        <div class="recurrence-summary">
+          ${!task.deadline ? 'Set a deadline to schedule occurrences' : next ? `Next one due ${this.formatDate(next)}` : 'This is the last occurrence'}
+        </div>
+      ` : ''}
+    `;
+    section.querySelectorAll('select, input').forEach(input => {
+      input.addEventListener('change', () => this.changeRecurrence(task.id));
+    });
+  }
+
+  // Rebuild the rule from the Repeat controls; a new weekly/monthly rule starts on the deadline's day
+  changeRecurrence(taskId) {
     const task = this.data.tasks.find(t => t.id === taskId);
     if (!task) return;
-    
-    const newTask = { ...task, id: `task-${Date.now()}`, title: `${task.title} (Copy)` };
-    this.data.tasks.push(newTask);
-    this.saveData();
-    this.closeSidebar();
-    this.applyFilters();
-    this.showToast('✓ Task duplicated');
+    const frequency = document.getElementById('recurrenceFrequency').value;
+    let recurrence = null;
+    if (frequency) {
+      const from = this.parseDateKey(task.deadline || this.toDateKey(new Date()));
+      const interval = document.getElementById('recurrenceInterval');
+      const monthDay = document.getElementById('recurrenceMonthDay');
+      const until = document.getElementById('recurrenceUntil');
+      const weekdays = [...document.querySelectorAll('.recurrence-weekdays input:checked')].map(input => Number(input.value));
+      recurrence = { frequency, interval: Math.min(Math.max(parseInt(interval && interval.value, 10) || 1, 1), 365), until: (until && until.value) || null };
+      if (frequency === 'weekly') recurrence.weekdays = weekdays.length ? weekdays : [from.getDay()];
+      if (frequency === 'monthly') recurrence.monthDay = Math.min(Math.max(parseInt(monthDay && monthDay.value, 10) || from.getDate(), 1), 31);
+    }
+    this.editTask(task, { recurrence }, 'repeat change');
+    this.render();
+    this.renderRecurrence(task);
   }
 
-  openSettingsModal() {
-    const modal = document.getElementById('settingsModal');
-    
-    const assigneesList = document.getElementById('assigneesList');
-    assigneesList.innerHTML = this.data.assignees.map(a => 
-      `<div>${a} <button onclick="app.removeAssignee('${a}')">✕</button></div>`
-    ).join('');
-    
-    const projectsList = document.getElementById('projectsList');
-    projectsList.innerHTML = this.data.projects.map(p => 
-      `<div>${p} <button onclick="app.removeProject('${p}')">✕</button></div>`
-    ).join('');
-    
-    document.getElementById('defaultViewSelect').value = this.data.settings.defaultView;
-    document.getElementById('defaultCalViewSelect').value = this.data.settings.defaultCalendarView;
-    
-    document.getElementById('addAssignee').onclick = () => {
-      const input = document.getElementById('newAssignee');
-      if (input.value) {
-        this.data.assignees.push(input.value);
-        input.value = '';
-        this.saveData();
-        this.openSettingsModal();
-      }
-    };
-    
-    document.getElementById('addProject').onclick = () => {
-      const input = document.getElementById('newProject');
-      if (input.value) {
-        this.data.projects.push(input.value);
-        input.value = '';
-        this.saveData();
-        this.openSettingsModal();
-      }
-    };
+  // "every 2 weeks on Mon, Thu until Mar 1"
+  describeRecurrence(rule) {
+    if (!rule) return "doesn't repeat";
+    const interval = rule.interval || 1;
+    const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[rule.frequency];
+    let text = interval === 1 ? `every ${unit}` : `every ${interval} ${unit}s`;
+    if (rule.frequency === 'weekly' && (rule.weekdays || []).length) {
+      const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      text += ` on ${[...rule.weekdays].sort().map(day => dayNames[day]).join(', ')}`;
+    }
+    if (rule.frequency === 'monthly' && rule.monthDay) text += ` on day ${rule.monthDay}`;
+    if (rule.until) text += ` until ${this.formatDate(rule.until)}`;
+    return text;
+  }
+
+  renderDependencies(task) {
+    const section = document.getElementById('dependencySection');
+    if (!section) return;
+    const blockedBy = (task.blockedBy || []).map(id => this.data.tasks.find(t => t.id === id)).filter(Boolean);
+    const blocks = this.data.tasks.filter(t => (t.blockedBy || []).includes(task.id));
+    // Tasks that could block this one without closing a loop
+    const candidates = this.data.tasks.filter(t => t.id !== task.id && !blockedBy.includes(t) &&
+      !TaskSchema.findDependencyCycle(this.data.tasks, task.id, [t.id]));
+    const link = (t) => `<a href="#" class="dependency-link ${this.isDone(t) ? 'done' : ''}" onclick="app.openTaskDetail('${t.id}'); return false;">${this.escapeHtml(t.title)}</a>`;
     
-    modal.classList.remove('hidden');
+    section.innerHTML = `
+      <div class="dependency-label">Blocked by</div>
+      ${blockedBy.length ? blockedBy.map(t => `
+        <div class="dependency-item">
+          ${link(t)}
+          <button onclick="app.removeDependency('${task.id}', '${t.id}')" title="Remove">✕</button>
+        </div>
+      `).join('') : '<div class="dependency-empty">Nothing</div>'}
+      <div class="add-item">
+        <select id="newDependency">
+          <option value="">Add a blocking task...</option>
+          ${candidates.map(t => `<option value="${t.id}">${this.escapeHtml(t.title)}</option>`).join('')}
+        </select>
+        <button onclick="app.addDependency('${task.id}')">Add</button>
+      </div>
+      ${blocks.length ? `
+        <div class="dependency-label">Blocks</div>
+        ${blocks.map(t => `<div class="dependency-item">${link(t)}</div>`).join('')}
+      ` : ''}
+    `;
   }
 
-  removeAssignee(name) {
-    this.data.assignees = this.data.assignees.filter(a => a !== name);
-    this.saveData();
-    this.openSettingsModal();
+  setDependencies(taskId, blockedBy) {
+    const task = this.data.tasks.find(t => t.id === taskId);
+    if (!task) return;
+    this.editTask(task, { blockedBy }, 'dependency change');
+    this.updateStats();
+    this.render();
+    if (this.openTaskId === taskId) this.renderDependencies(task);
   }
 
-  removeProject(name) {
-    this.data.projects = this.data.projects.filter(p => p !== name);
-    this.saveData();
-    this.openSettingsModal();
+  addDependency(taskId) {
+    const blockerId = document.getElementById('newDependency').value;
+    const task = this.data.tasks.find(t => t.id === taskId);
+    if (!blockerId || !task) return;
+    const cycle = TaskSchema.findDependencyCycle(this.data.tasks, taskId, [blockerId]);
+    if (cycle) {
+      const titles = cycle.map(id => (this.data.tasks.find(t => t.id === id) || { title: id }).title);
+      this.showToast(`⚠️ That would create a loop: ${titles.join(' → ')}`);
+      return;
+    }
+    this.setDependencies(taskId, [...(task.blockedBy || []), blockerId]);
   }
 
-  toggleTheme() {
-    const current = document.body.dataset.theme || 'dark';
-    const newTheme = current === 'dark' ? 'light' : 'dark';
-    document.body.dataset.theme = newTheme;
-    this.data.settings.theme = newTheme;
-    this.saveData();
-    document.querySelector('.theme-icon').textContent = newTheme === 'dark' ? '☀️' : '🌙';
+  removeDependency(taskId, blockerId) {
+    const task = this.data.tasks.find(t => t.id === taskId);
+    if (!task) return;
+    this.setDependencies(taskId, (task.blockedBy || []).filter(id => id !== blockerId));
   }
 
-  applySettings() {
-    document.body.dataset.theme = this.data.settings.theme;
-    this.currentView = this.data.settings.defaultView;
-    this.currentCalendarView = this.data.settings.defaultCalendarView;
-    
-    const assigneeFilter = document.getElementById('filterAssignee');
-    assigneeFilter.innerHTML = '<option value="all" selected>All</option>' + 
-      this.data.assignees.map(a => `<option value="${a}">${a}</option>`).join('');
-    
-    const projectFilter = document.getElementById('filterProject');
-    projectFilter.innerHTML = '<option value="all" selected>All</option>' + 
-      this.data.projects.map(p => `<option value="${p}">${p}</option>`).join('');
+  // Checklist edits replace the whole array, so undo, sync and merges treat it as one field
+  updateChecklist(taskId, update) {
+    const task = this.data.tasks.find(t => t.id === taskId);
+    if (!task) return;
+    this.editTask(task, { checklist: update((task.checklist || []).map(item => ({ ...item }))) }, 'checklist edit');
+    this.updateStats();
+    this.render();
+    if (this.openTaskId === taskId) this.renderChecklist(task);
+  }
+
+  addChecklistItem(taskId) {
+    const text = document.getElementById('newChecklistItem').value.trim();
+    if (!text) return;
+    this.updateChecklist(taskId, list => [...list, { id: `item-${Date.now()}`, text, done: false }]);
+    document.getElementById('newChecklistItem').focus();
+  }
+
+  toggleChecklistItem(taskId, itemId) {
+    this.updateChecklist(taskId, list => list.map(item => (item.id === itemId ? { ...item, done: !item.done } : item)));
+  }
+
+  renameChecklistItem(taskId, itemId, text) {
+    if (!text.trim()) {
+      this.removeChecklistItem(taskId, itemId);
+      return;
+    }
+    this.updateChecklist(taskId, list => list.map(item => (item.id === itemId ? { ...item, text: text.trim() } : item)));
+  }
+
+  removeChecklistItem(taskId, itemId) {
+    this.updateChecklist(taskId, list => list.filter(item => item.id !== itemId));
+  }
+
+  useChecklistProgress(taskId) {
+    const task = this.data.tasks.find(t => t.id === taskId);
+    if (!task) return;
+    this.editTask(task, { progressManual: false }, 'progress change');
+    this.updateStats();
+    this.render();
+    this.renderChecklist(task);
+  }
+
+  // Comments go straight to the server (not the offline outbox), so they need a connection
+  async loadComments(taskId) {
+    let comments;
+    try {
+      comments = await this.api('GET', `/tasks/${encodeURIComponent(taskId)}/comments`);
+    } catch (error) {
+      comments = null;
+    }
+    
+    const list = document.getElementById('commentList');
+    if (!list || this.openTaskId !== taskId) return; // Sidebar moved on while loading
+    if (!comments) {
+      list.innerHTML = '<div class="comment-empty">Comments unavailable offline</div>';
+      return;
+    }
+    this.comments = comments;
+    this.renderComments();
+  }
+
+  // Someone commented on a task: reload if it's open and we aren't editing a comment
+  refreshComments(taskId) {
+    if (taskId !== this.openTaskId || this.editingCommentId) return;
+    this.loadComments(taskId);
+  }
+
+  renderComments() {
+    const list = document.getElementById('commentList');
+    const threads = this.comments.filter(c => !c.parentId);
+    if (!threads.length) {
+      list.innerHTML = '<div class="comment-empty">No comments yet</div>';
+    } else {
+      list.innerHTML = threads.map(thread => `
+        <div class="comment-thread">
+          ${this.renderComment(thread)}
+          ${this.comments.filter(c => c.parentId === thread.id).map(reply => this.renderComment(reply)).join('')}
+        </div>
+      `).join('');
+    }
+    
+    const replying = document.getElementById('commentReplying');
+    const parent = this.comments.find(c => c.id === this.replyTo);
+    replying.classList.toggle('hidden', !parent);
+    if (parent) {
+      replying.innerHTML = `Replying to ${this.escapeHtml(parent.author)} <button onclick="app.startReply(null)">✕</button>`;
+    }
+  }
+
+  renderComment(comment) {
+    const className = `comment${comment.parentId ? ' reply' : ''}`;
+    if (comment.deleted) return `<div class="${className} deleted">Comment deleted</div>`;
+    
+    const own = this.user && comment.authorId === this.user.id;
+    const editing = comment.id === this.editingCommentId;
+    const edited = comment.updatedAt !== comment.createdAt ? ' · edited' : '';
+    return `
+      <div class="${className}">
+        <div class="comment-header">
+          <strong>${this.escapeHtml(comment.author)}</strong>
+          <time datetime="${comment.createdAt}" title="${new Date(comment.createdAt).toLocaleString()}">${this.formatRelativeTime(comment.createdAt)}${edited}</time>
+        </div>
+        ${editing ? `
+          <textarea rows="3" id="commentEditInput">${this.escapeHtml(comment.body)}</textarea>
+          <div class="comment-actions">
+            <button onclick="app.saveCommentEdit('${comment.id}')">Save</button>
+            <button onclick="app.editComment(null)">Cancel</button>
+          </div>
+        ` : `
+          <div class="comment-body">${this.renderMarkdown(comment.body)}</div>
+          <div class="comment-actions">
+            <button onclick="app.startReply('${comment.parentId || comment.id}')">Reply</button>
+            ${own ? `<button onclick="app.editComment('${comment.id}')">Edit</button>` : ''}
+            ${own ? `<button onclick="app.deleteComment('${comment.id}')">Delete</button>` : ''}
+          </div>
+        `}
+      </div>
+    `;
+  }
+
+  startReply(commentId) {
+    this.replyTo = commentId;
+    this.renderComments();
+    if (commentId) document.getElementById('commentInput').focus();
+  }
+
+  editComment(commentId) {
+    this.editingCommentId = commentId;
+    this.renderComments();
+    if (commentId) document.getElementById('commentEditInput').focus();
+  }
+
+  async postComment(taskId) {
+    const input = document.getElementById('commentInput');
+    if (!input.value.trim()) return;
+    try {
+      const comment = await this.api('POST', `/tasks/${encodeURIComponent(taskId)}/comments`, { body: input.value, parentId: this.replyTo });
+      if (!this.comments.some(c => c.id === comment.id)) this.comments.push(comment);
+      input.value = '';
+      this.replyTo = null;
+      this.renderComments();
+    } catch (error) {
+      this.showToast(this.commentError(error));
+    }
+  }
+
+  async saveCommentEdit(commentId) {
+    const body = document.getElementById('commentEditInput').value;
+    if (!body.trim()) return;
+    try {
+      const updated = await this.api('PATCH', `/tasks/${encodeURIComponent(this.openTaskId)}/comments/${encodeURIComponent(commentId)}`, { body });
+      this.comments = this.comments.map(c => (c.id === commentId ? updated : c));
+      this.editingCommentId = null;
+      this.renderComments();
+    } catch (error) {
+      this.showToast(this.commentError(error));
+    }
+  }
+
+  async deleteComment(commentId) {
+    if (!confirm('Delete this comment?')) return;
+    try {
+      await this.api('DELETE', `/tasks/${encodeURIComponent(this.openTaskId)}/comments/${encodeURIComponent(commentId)}`);
+      await this.loadComments(this.openTaskId);
+    } catch (error) {
+      this.showToast(this.commentError(error));
+    }
+  }
+
+  commentError(error) {
+    if (!error.status) return '⚠️ Comments need a connection';
+    return `❌ ${error.details ? error.details.join(', ') : error.message}`;
+  }
+
+  // A small, safe Markdown subset for comments. The text is escaped first, then code blocks,
+  // `code`, **bold**, *italic*, [links](https://...), "- " lists, line breaks and @mentions are formatted.
+  renderMarkdown(text) {
+    // Code and link targets are set aside so emphasis and mentions never rewrite them
+    const stashed = [];
+    const stash = (html) => `\u0000${stashed.push(html) - 1}\u0000`;
+    let html = this.escapeHtml(text)
+      .replace(/```[^\n]*\n?([\s\S]*?)```/g, (match, block) => stash(`<pre><code>${block}</code></pre>`))
+      .replace(/`([^`\n]+)`/g, (match, inline) => stash(`<code>${inline}</code>`));
+    
+    const blocks = [];
+    let list = null;
+    html.split('\n').forEach(line => {
+      const item = line.match(/^\s*[-*] +(.*)$/);
+      if (item) {
+        if (!list) blocks.push(list = []);
+        list.push(item[1]);
+      } else {
+        list = null;
+        blocks.push(line);
+      }
+    });
+    html = blocks.map(block => (Array.isArray(block)
+      ? `<ul>${block.map(item => `<li>${item}</li>`).join('')}</ul>`
+      : `${block}<br>`)).join('').replace(/(<br>)+$/, '');
+    
+    html = html
+      .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, label, url) => `<a ${stash(`href="${url}"`)} target="_blank" rel="noopener">${label}</a>`)
+      .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*([^*\n]+)\*/g, '<em>$1</em>');
+    
+    TaskSchema.findMentions(text, this.data.assignees).forEach(name => {
+      const escaped = this.escapeHtml(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      // Skip "@Ana" inside an already highlighted "@Ana Lee"
+      const pattern = new RegExp(`(?<!class="mention">)@${escaped}(?![\\p{L}\\p{N}_])`, 'giu');
+      html = html.replace(pattern, match => `<span class="mention">${match}</span>`);
+    });
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stashed[index]);
+  }
+
+  async loadNotifications() {
+    try {
+      const result = await this.api('GET', '/notifications');
+      this.notifications = result.notifications;
+      this.unreadCount = result.unread;
+    } catch (error) {
+      return;
+    }
+    this.renderNotifications();
+  }
+
+  renderNotifications() {
+    const count = document.getElementById('notificationCount');
+    count.textContent = this.unreadCount > 99 ? '99+' : this.unreadCount;
+    count.classList.toggle('hidden', !this.unreadCount);
+    
+    const list = document.getElementById('notificationsList');
+    if (!this.notifications.length) {
+      list.innerHTML = `<div class="notifications-empty">${this.user && this.user.assignee
+        ? 'Nobody has mentioned you yet'
+        : 'Link your account to an assignee to get @mentions'}</div>`;
+      return;
+    }
+    list.innerHTML = this.notifications.map(n => `
+      <button class="notification ${n.read ? '' : 'unread'}" onclick="app.openNotification('${n.id}')">
+        <div><strong>${this.escapeHtml(n.author)}</strong> mentioned you on <strong>${this.escapeHtml(n.taskTitle)}</strong></div>
+        <div class="notification-excerpt">${this.escapeHtml(n.excerpt)}</div>
+        <time datetime="${n.createdAt}">${this.formatRelativeTime(n.createdAt)}</time>
+      </button>
+    `).join('');
+  }
+
+  toggleNotifications(open) {
+    const panel = document.getElementById('notificationsPanel');
+    const show = open === undefined ? panel.classList.contains('hidden') : open;
+    panel.classList.toggle('hidden', !show);
+    if (show) this.loadNotifications();
+  }
+
+  openNotification(notificationId) {
+    const notification = this.notifications.find(n => n.id === notificationId);
+    if (!notification) return;
+    this.toggleNotifications(false);
+    if (!notification.read) this.markNotificationsRead([notificationId]);
+    if (this.data.tasks.some(t => t.id === notification.taskId)) this.openTaskDetail(notification.taskId);
+    else this.showToast('⚠️ That task was deleted');
+  }
+
+  // Mark the given notifications read, or all of them without `ids`
+  async markNotificationsRead(ids) {
+    try {
+      const result = await this.api('POST', '/notifications/read', ids ? { ids } : {});
+      this.notifications.forEach(n => {
+        if (!ids || ids.includes(n.id)) n.read = true;
+      });
+      this.unreadCount = result.unread;
+      this.renderNotifications();
+    } catch (error) {
+      this.showToast('⚠️ Notifications need a connection');
+    }
+  }
+
+  async loadHistory(taskId) {
+    let entries;
+    try {
+      entries = await this.api('GET', `/tasks/${encodeURIComponent(taskId)}/history`);
+    } catch (error) {
+      entries = null;
+    }
+    
+    const log = document.getElementById('activityLog');
+    if (!log || this.openTaskId !== taskId) return; // Sidebar moved on while loading
+    if (!entries) {
+      log.innerHTML = '<div class="activity-empty">History unavailable offline</div>';
+      return;
+    }
+    if (!entries.length) {
+      log.innerHTML = '<div class="activity-empty">No recorded changes yet</div>';
+      return;
+    }
+    
+    log.innerHTML = entries.slice().reverse().map(entry => `
+      <div class="activity-entry">
+        <div class="activity-text"><strong>${this.escapeHtml(entry.actor)}</strong> ${this.describeActivity(entry, taskId)}</div>
+        <time datetime="${entry.at}" title="${new Date(entry.at).toLocaleString()}">${this.formatRelativeTime(entry.at)}</time>
+      </div>
+    `).join('');
+  }
+
+  describeActivity(entry, taskId) {
+    const value = (v) => {
+      if (v === null || v === '' || (Array.isArray(v) && !v.length)) return '<em>none</em>';
+      const text = Array.isArray(v) ? v.join(', ') : String(v);
+      return `<span class="activity-value">${this.escapeHtml(text.length > 60 ? `${text.slice(0, 60)}…` : text)}</span>`;
+    };
+    
+    switch (entry.action) {
+      case 'created': return 'created this task';
+      case 'deleted': return 'moved this task to the trash';
+      case 'restored': return 'restored this task from the trash';
+      case 'duplicated': return entry.to === taskId ? 'created this task as a copy' : 'duplicated this task';
+      default:
+        if (entry.field === 'blockedBy') {
+          const titles = (ids) => (ids || []).map(id => (this.data.tasks.find(t => t.id === id) || { title: 'a deleted task' }).title);
+          return `changed <strong>blocked by</strong> from ${value(titles(entry.from))} to ${value(titles(entry.to))}`;
+        }
+        if (entry.field === 'recurrence') {
+          return `changed <strong>repeat</strong> from ${value(this.describeRecurrence(entry.from))} to ${value(this.describeRecurrence(entry.to))}`;
+        }
+        if (entry.field === 'checklist') {
+          return `updated the checklist (${this.checklistSummary({ checklist: entry.to || [] })})`;
+        }
+        return `changed <strong>${entry.field}</strong> from ${value(entry.from)} to ${value(entry.to)}`;
+    }
+  }
+
+  formatRelativeTime(isoString) {
+    const seconds = Math.round((Date.now() - new Date(isoString)) / 1000);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    if (seconds < 7 * 86400) return `${Math.floor(seconds / 86400)}d ago`;
+    return this.formatDate(isoString);
+  }
+
+  closeSidebar() {
+    document.getElementById('taskSidebar').classList.add('hidden');
+    this.openTaskId = null;
+  }
+
+  deleteTask(taskId) {
+    const task = this.trashTask(taskId);
+    if (!task) return;
+    this.record('delete', () => this.restoreTask(task), () => this.trashTask(taskId));
+    this.updateStats();
+    this.closeSidebar();
+    this.applyFilters();
+    this.showToast('🗑️ Moved to trash', true);
+  }
+
+  duplicateTask(taskId) {
+    const task = this.data.tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    const now = new Date().toISOString();
+    const newTask = { ...task, id: this.newTaskId(), title: `${task.title} (Copy)`, createdAt: now, updatedAt: now };
+    this.data.tasks.push(newTask);
+    this.sync('POST', '/tasks', { ...newTask, duplicateOf: taskId });
+    this.record('duplicate', () => this.trashTask(newTask.id), () => this.restoreTask(newTask));
+    this.updateStats();
+    this.closeSidebar();
+    this.applyFilters();
+    this.showToast('✓ Task duplicated', true);
+  }
+
+  async openTrash() {
+    const list = document.getElementById('trashList');
+    list.innerHTML = '<div class="trash-empty">Loading...</div>';
+    document.getElementById('trashModal').classList.remove('hidden');
+    try {
+      this.trash = await this.api('GET', '/trash');
+    } catch (error) {
+      list.innerHTML = '<div class="trash-empty">Trash is unavailable offline</div>';
+      return;
+    }
+    this.renderTrash();
+  }
+
+  renderTrash() {
+    const list = document.getElementById('trashList');
+    document.getElementById('emptyTrash').disabled = !this.trash.length;
+    if (!this.trash.length) {
+      list.innerHTML = '<div class="trash-empty">Trash is empty</div>';
+      return;
+    }
+    
+    list.innerHTML = this.trash.map(task => {
+      const daysLeft = Math.max(1, this.TRASH_DAYS - Math.floor((Date.now() - new Date(task.deletedAt)) / 86400000));
+      return `
+        <div class="trash-item">
+          <div class="trash-info">
+            <div class="trash-title">${this.escapeHtml(task.title)}</div>
+            <div class="trash-meta">${this.escapeHtml(task.project)} · deleted ${this.formatRelativeTime(task.deletedAt)} · ${daysLeft} day${daysLeft === 1 ? '' : 's'} left</div>
+          </div>
+          <button class="btn-secondary" onclick="app.restoreFromTrash('${task.id}')">Restore</button>
+          <button class="btn-secondary" onclick="app.purgeFromTrash('${task.id}')">Delete Forever</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  restoreFromTrash(taskId) {
+    const task = this.trash.find(t => t.id === taskId);
+    if (!task) return;
+    this.trash = this.trash.filter(t => t.id !== taskId);
+    this.restoreTask(task);
+    this.record('restore', () => this.trashTask(taskId), () => this.restoreTask(task));
+    this.renderTrash();
+    this.updateStats();
+    this.applyFilters();
+    this.showToast('✓ Task restored', true);
+  }
+
+  // Purging can't be undone, so it goes straight to the server instead of the outbox
+  async purgeFromTrash(taskId) {
+    if (!confirm('Delete this task forever? This cannot be undone.')) return;
+    try {
+      await this.api('DELETE', `/trash/${encodeURIComponent(taskId)}`);
+      this.trash = this.trash.filter(t => t.id !== taskId);
+      this.renderTrash();
+      this.showToast('✓ Task deleted forever');
+    } catch (error) {
+      this.showToast(error.status ? `❌ ${error.message}` : '❌ Cannot purge while offline');
+    }
+  }
+
+  async emptyTrash() {
+    if (!this.trash.length || !confirm(`Delete ${this.trash.length} task${this.trash.length === 1 ? '' : 's'} forever? This cannot be undone.`)) return;
+    try {
+      await this.api('DELETE', '/trash');
+      this.trash = [];
+      this.renderTrash();
+      this.showToast('✓ Trash emptied');
+    } catch (error) {
+      this.showToast(error.status ? `❌ ${error.message}` : '❌ Cannot empty trash while offline');
+    }
+  }
+
+  openSettingsModal() {
+    const modal = document.getElementById('settingsModal');
+    // Unsaved workflow edits survive re-renders while the modal stays open
+    if (modal.classList.contains('hidden')) this.workflowDraft = null;
+    
+    const assigneesList = document.getElementById('assigneesList');
+    assigneesList.innerHTML = this.data.assignees.map(a => 
+      `<div>${this.escapeHtml(a)} <button class="admin-only" data-remove-assignee="${this.escapeHtml(a)}">✕</button></div>`
+    ).join('');
+    
+    this.renderProjectSettings();
+    this.renderTagSettings();
+    this.renderViewSettings();
+    this.renderWipSettings();
+    this.renderWorkflowSettings();
+    
+    document.getElementById('currentUser').innerHTML = this.user
+      ? `<strong>${this.escapeHtml(this.user.name)}</strong> (${this.user.username}, ${this.user.role})${this.user.assignee ? ` · tasks assigned to ${this.escapeHtml(this.user.assignee)}` : ''}`
+      : 'Offline';
+    if (this.isAdmin()) this.loadUsers();
+    
+    document.getElementById('defaultViewSelect').value = this.data.settings.defaultView;
+    document.getElementById('defaultCalViewSelect').value = this.data.settings.defaultCalendarView;
+    
+    document.getElementById('addAssignee').onclick = () => {
+      const input = document.getElementById('newAssignee');
+      if (input.value) {
+        this.data.assignees.push(input.value);
+        this.sync('POST', '/assignees', { name: input.value });
+        input.value = '';
+        this.openSettingsModal();
+      }
+    };
+    
+    document.getElementById('addTag').onclick = () => this.addTag();
+    
+    document.getElementById('addProject').onclick = () => this.addProject();
+    
+    modal.classList.remove('hidden');
+  }
+
+  async loadUsers() {
+    try {
+      this.users = await this.api('GET', '/users');
+    } catch (error) {
+      document.getElementById('usersList').innerHTML = '<div class="users-empty">Users are unavailable offline</div>';
+      return;
+    }
+    this.renderUsers();
+  }
+
+  renderUsers() {
+    const assigneeOptions = (selected) => `<option value="">No linked assignee</option>` +
+      this.data.assignees.map(a => `<option value="${this.escapeHtml(a)}" ${a === selected ? 'selected' : ''}>${this.escapeHtml(a)}</option>`).join('');
+    
+    document.getElementById('usersList').innerHTML = this.users.map(user => `
+      <div class="user-row">
+        <span class="user-name">${this.escapeHtml(user.name)} <span class="user-username">@${this.escapeHtml(user.username)}</span></span>
+        <select onchange="app.updateUser('${user.id}', { role: this.value })">
+          <option value="member" ${user.role === 'member' ? 'selected' : ''}>Member</option>
+          <option value="admin" ${user.role === 'admin' ? 'selected' : ''}>Admin</option>
+        </select>
+        <select onchange="app.updateUser('${user.id}', { assignee: this.value || null })">${assigneeOptions(user.assignee)}</select>
+        ${user.id === this.user.id ? '' : `<button onclick="app.removeUser('${user.id}')">✕</button>`}
+      </div>
+    `).join('');
+    document.getElementById('newUserAssignee').innerHTML = assigneeOptions(null);
+  }
+
+  async addUser() {
+    const field = (id) => document.getElementById(id);
+    const user = {
+      name: field('newUserName').value,
+      username: field('newUsername').value,
+      password: field('newUserPassword').value,
+      role: field('newUserRole').value,
+      assignee: field('newUserAssignee').value || null
+    };
+    try {
+      this.users.push(await this.api('POST', '/users', user));
+      ['newUserName', 'newUsername', 'newUserPassword'].forEach(id => { field(id).value = ''; });
+      this.renderUsers();
+      this.showToast('✓ User added');
+    } catch (error) {
+      this.showToast(`❌ ${error.details ? error.details.join(', ') : error.message}`);
+    }
+  }
+
+  async updateUser(userId, changes) {
+    try {
+      const updated = await this.api('PATCH', `/users/${encodeURIComponent(userId)}`, changes);
+      this.users = this.users.map(u => (u.id === userId ? updated : u));
+      if (userId === this.user.id) {
+        Object.assign(this.user, updated);
+        localStorage.setItem('missionControlUser', JSON.stringify(this.user));
+        this.populateFilters();
+        this.applyFilters();
+      }
+      this.showToast('✓ User updated');
+    } catch (error) {
+      this.showToast(`❌ ${error.details ? error.details.join(', ') : error.message}`);
+    }
+    this.renderUsers();
+  }
+
+  async removeUser(userId) {
+    const user = this.users.find(u => u.id === userId);
+    if (!user || !confirm(`Remove ${user.name}'s account?`)) return;
+    try {
+      await this.api('DELETE', `/users/${encodeURIComponent(userId)}`);
+      this.users = this.users.filter(u => u.id !== userId);
+      this.renderUsers();
+      this.showToast('✓ User removed');
+    } catch (error) {
+      this.showToast(`❌ ${error.message}`);
+    }
+  }
+
+  // Settings → Workflows: edited as a draft, then saved (and existing tasks migrated) in one PUT /api/workflows
+  renderWorkflowSettings() {
+    if (!this.workflowDraft) {
+      this.workflowDraft = JSON.parse(JSON.stringify({
+        workflows: TaskSchema.getWorkflows(this.data.settings),
+        projectWorkflows: this.data.settings.projectWorkflows || {}
+      }));
+    }
+    const { workflows, projectWorkflows } = this.workflowDraft;
+    document.getElementById('workflowsList').innerHTML = workflows.map((workflow, w) => `
+      <div class="workflow-card">
+        <div class="workflow-header">
+          <input type="text" value="${this.escapeHtml(workflow.name)}" onchange="app.editWorkflow(${w}, { name: this.value })" title="Workflow name">
+          ${workflows.length > 1 ? `<button onclick="app.removeWorkflow(${w})" title="Delete workflow">✕</button>` : ''}
+        </div>
+        ${workflow.statuses.map((status, i) => `
+          <div class="workflow-status">
+            <input type="color" value="${status.color}" onchange="app.editWorkflowStatus(${w}, ${i}, { color: this.value })" title="Color">
+            <input type="text" value="${this.escapeHtml(status.name)}" onchange="app.editWorkflowStatus(${w}, ${i}, { name: this.value })">
+            <label title="Counts as finished"><input type="checkbox" ${status.done ? 'checked' : ''} onchange="app.editWorkflowStatus(${w}, ${i}, { done: this.checked })"> done</label>
+            <label title="New tasks start here"><input type="radio" name="workflowInitial${w}" ${TaskSchema.initialStatus(workflow) === status.id ? 'checked' : ''} onchange="app.editWorkflow(${w}, { initial: '${status.id}' })"> start</label>
+            <button onclick="app.moveWorkflowStatus(${w}, ${i}, -1)" ${i === 0 ? 'disabled' : ''} title="Move up">↑</button>
+            <button onclick="app.moveWorkflowStatus(${w}, ${i}, 1)" ${i === workflow.statuses.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+            <button onclick="app.removeWorkflowStatus(${w}, ${i})" ${workflow.statuses.length === 1 ? 'disabled' : ''} title="Remove">✕</button>
+          </div>
+        `).join('')}
+        <button class="workflow-add-status" onclick="app.addWorkflowStatus(${w})">+ Status</button>
+      </div>
+    `).join('');
+    document.getElementById('projectWorkflowsList').innerHTML = this.projectNames(true).map(project => `
+      <div class="wip-row">
+        <span class="wip-name">${this.escapeHtml(project)}</span>
+        <select data-project="${this.escapeHtml(project)}" onchange="app.assignWorkflow(this.dataset.project, this.value)">
+          ${workflows.map((workflow, w) => `<option value="${workflow.id}" ${(projectWorkflows[project] || workflows[0].id) === workflow.id ? 'selected' : ''}>${this.escapeHtml(workflow.name)}${w === 0 ? ' (default)' : ''}</option>`).join('')}
+        </select>
+      </div>
+    `).join('');
+  }
+
+  editWorkflow(index, changes) {
+    Object.assign(this.workflowDraft.workflows[index], changes);
+    this.renderWorkflowSettings();
+  }
+
+  // A status keeps its id once saved (tasks refer to it); new ones take theirs from the name
+  editWorkflowStatus(index, statusIndex, changes) {
+    const workflow = this.workflowDraft.workflows[index];
+    const status = workflow.statuses[statusIndex];
+    const saved = TaskSchema.getWorkflows(this.data.settings).find(w => w.id === workflow.id);
+    const isNew = !saved || !saved.statuses.some(s => s.id === status.id);
+    if (changes.name !== undefined && isNew) {
+      const id = this.uniqueStatusId(workflow, changes.name, status);
+      if (workflow.initial === status.id) workflow.initial = id;
+      status.id = id;
+    }
+    Object.assign(status, changes);
+    this.renderWorkflowSettings();
+  }
+
+  uniqueStatusId(workflow, name, except) {
+    const base = name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'status';
+    let id = base;
+    for (let n = 2; workflow.statuses.some(s => s !== except && s.id === id); n++) id = `${base}-${n}`;
+    return id;
+  }
+
+  moveWorkflowStatus(index, statusIndex, direction) {
+    const statuses = this.workflowDraft.workflows[index].statuses;
+    const [status] = statuses.splice(statusIndex, 1);
+    statuses.splice(statusIndex + direction, 0, status);
+    this.renderWorkflowSettings();
+  }
+
+  addWorkflowStatus(index) {
+    const workflow = this.workflowDraft.workflows[index];
+    workflow.statuses.push({ id: this.uniqueStatusId(workflow, 'New status'), name: 'New status', color: '#8e8e93', done: false });
+    this.renderWorkflowSettings();
+  }
+
+  removeWorkflowStatus(index, statusIndex) {
+    const workflow = this.workflowDraft.workflows[index];
+    const [status] = workflow.statuses.splice(statusIndex, 1);
+    if (workflow.initial === status.id) delete workflow.initial;
+    this.renderWorkflowSettings();
+  }
+
+  // New workflows start as a copy of the default statuses
+  addWorkflow() {
+    this.workflowDraft.workflows.push({
+      ...JSON.parse(JSON.stringify(TaskSchema.DEFAULT_WORKFLOW)),
+      id: `workflow-${Date.now().toString(36)}`,
+      name: 'New workflow'
+    });
+    this.renderWorkflowSettings();
+  }
+
+  // Projects on a deleted workflow fall back to the first one
+  removeWorkflow(index) {
+    const [workflow] = this.workflowDraft.workflows.splice(index, 1);
+    const assigned = this.workflowDraft.projectWorkflows;
+    Object.keys(assigned).forEach(project => { if (assigned[project] === workflow.id) delete assigned[project]; });
+    this.renderWorkflowSettings();
+  }
+
+  assignWorkflow(project, workflowId) {
+    this.workflowDraft.projectWorkflows[project] = workflowId;
+    this.renderWorkflowSettings();
+  }
+
+  // Show which tasks the draft would move to another status, then save it
+  async saveWorkflows() {
+    const draft = this.workflowDraft;
+    const errors = TaskSchema.validateWorkflows(draft);
+    if (errors.length) {
+      this.showToast(`⚠️ ${errors.join(', ')}`);
+      return;
+    }
+    const settings = { ...this.data.settings, ...draft };
+    const moved = TaskSchema.migrateStatuses(this.data.tasks.map(t => ({ ...t })), settings, this.data.settings);
+    const counts = {};
+    moved.forEach(copy => {
+      const task = this.data.tasks.find(t => t.id === copy.id);
+      const to = TaskSchema.workflowFor(settings, task.project).statuses.find(s => s.id === copy.status);
+      const key = `${this.statusName(task.status)} → ${to.name}`;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    const summary = Object.entries(counts).map(([change, count]) => `• ${count} × ${change}`).join('\n');
+    if (moved.length && !confirm(`${moved.length} task${moved.length === 1 ? '' : 's'} will change status:\n${summary}\n\nSave workflows?`)) return;
+    
+    try {
+      const result = await this.api('PUT', '/workflows', draft);
+      this.workflowDraft = null;
+      this.applyWorkflows(result);
+      result.tasks.forEach(task => this.applyRemoteTask(task));
+      this.renderWorkflowSettings();
+      this.renderWipSettings();
+      this.showToast(moved.length ? `✓ Workflows saved, ${moved.length} task${moved.length === 1 ? '' : 's'} moved` : '✓ Workflows saved');
+    } catch (error) {
+      this.showToast(`❌ ${error.status ? (error.details || [error.message]).join(', ') : 'Workflows need a connection to the server'}`);
+    }
+  }
+
+  discardWorkflows() {
+    this.workflowDraft = null;
+    this.renderWorkflowSettings();
+  }
+
+  // From PUT /api/workflows or the workflows.updated event; migrated tasks arrive as task.updated
+  applyWorkflows({ workflows, projectWorkflows }) {
+    Object.assign(this.data.settings, { workflows, projectWorkflows });
+    this.updateStats();
+    this.applyFilters();
+    this.refreshSidebar();
+  }
+
+  renderTagSettings() {
+    const tags = this.getTags();
+    document.getElementById('tagsList').innerHTML = tags.length ? tags.map(tag => {
+      const count = this.data.tasks.filter(task => (task.tags || []).includes(tag.name)).length;
+      return `
+        <div class="tag-row">
+          <input type="color" value="${tag.color}" onchange="app.setTagColor('${tag.name}', this.value)" title="Color">
+          ${this.tagChip(tag.name)}
+          <span class="tag-count">${count} task${count === 1 ? '' : 's'}</span>
+          <button onclick="app.removeTag('${tag.name}')" title="Remove">✕</button>
+        </div>
+      `;
+    }).join('') : '<div class="tag-filter-empty">No tags yet</div>';
+  }
+
+  // Tag colors are settings, so they go out with the settings save
+  setTagColor(name, color) {
+    const tags = this.data.settings.tags || (this.data.settings.tags = []);
+    const tag = tags.find(t => t.name === name);
+    if (tag) tag.color = color;
+    else tags.push({ name, color });
+    this.saveData();
+    this.render();
+    this.renderTagSettings();
+  }
+
+  addTag() {
+    const input = document.getElementById('newTag');
+    const name = this.normalizeTag(input.value);
+    if (!name) return;
+    if (this.getTags().some(tag => tag.name === name)) {
+      this.showToast(`⚠️ #${name} already exists`);
+      return;
+    }
+    input.value = '';
+    this.setTagColor(name, document.getElementById('newTagColor').value);
+  }
+
+  // Removing a tag also takes it off every task, as one undoable action
+  removeTag(name) {
+    const tasks = this.data.tasks.filter(task => (task.tags || []).includes(name));
+    if (tasks.length && !confirm(`Remove #${name} from ${tasks.length} task${tasks.length === 1 ? '' : 's'}?`)) return;
+    
+    this.data.settings.tags = (this.data.settings.tags || []).filter(tag => tag.name !== name);
+    this.saveData();
+    const before = tasks.map(task => [task.id, task.tags]);
+    const strip = () => before.forEach(([id, tags]) => this.setTaskFields(id, { tags: tags.filter(tag => tag !== name) }));
+    if (tasks.length) this.record('tag removal', () => before.forEach(([id, tags]) => this.setTaskFields(id, { tags })), strip);
+    strip();
+    this.tagFilter.delete(name);
+    this.applyFilters();
+    this.renderTagSettings();
+  }
+
+  removeAssignee(name) {
+    const count = [...this.data.tasks, ...this.trash].filter(t => t.assignee === name).length;
+    if (count) {
+      this.showToast(`⚠️ ${count === 1 ? '1 task still uses' : `${count} tasks still use`} ${name}; reassign them first`);
+      return;
+    }
+    this.data.assignees = this.data.assignees.filter(a => a !== name);
+    this.sync('DELETE', `/assignees/${encodeURIComponent(name)}`);
+    this.openSettingsModal();
+  }
+
+  // Projects (data.projects) are managed online by admins; tasks refer to them by name
+  projectNames(includeArchived = false) {
+    return this.data.projects.filter(p => includeArchived || p.status !== 'archived').map(p => p.name);
+  }
+
+  getProject(name) {
+    return this.data.projects.find(p => p.name === name);
+  }
+
+  projectDot(name) {
+    const project = this.getProject(name);
+    return project ? `<span class="status-dot" style="background: ${project.color}"></span>` : '';
+  }
+
+  renderProjectSettings() {
+    document.getElementById('projectsList').innerHTML = this.data.projects.map(project => {
+      const count = this.data.tasks.filter(t => t.project === project.name).length;
+      const archived = project.status === 'archived';
+      return `
+        <div class="project-row ${archived ? 'archived' : ''}">
+          <span class="status-dot" style="background: ${project.color}"></span>
+          <a href="#project=${project.id}" class="project-row-name" onclick="app.closeModal('settingsModal')">${this.escapeHtml(project.name)}</a>
+          ${project.client ? `<span class="project-row-client">${this.escapeHtml(project.client)}</span>` : ''}
+          ${archived ? '<span class="project-archived">Archived</span>' : ''}
+          <span class="tag-count">${count} task${count === 1 ? '' : 's'}</span>
+          <button class="admin-only" onclick="app.openProjectModal('${project.id}')" title="Edit">✎</button>
+          <button class="admin-only" onclick="app.setProjectArchived('${project.id}', ${!archived})">${archived ? 'Restore' : 'Archive'}</button>
+          <button class="admin-only" onclick="app.removeProject('${project.id}')" title="Delete">✕</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async addProject() {
+    const input = document.getElementById('newProject');
+    if (!input.value.trim() || !(await this.createProject({ name: input.value }))) return;
+    input.value = '';
+    this.openSettingsModal();
+  }
+
+  async createProject(fields) {
+    try {
+      const project = await this.api('POST', '/projects', fields);
+      // The projects.updated event may have brought it already
+      if (!this.data.projects.some(p => p.id === project.id)) this.data.projects.push(project);
+      this.applyProjects({ projects: this.data.projects });
+      return true;
+    } catch (error) {
+      this.showProjectError(error);
+      return false;
+    }
+  }
+
+  // Edit (or with no id, create) a project in the project modal
+  openProjectModal(projectId) {
+    const project = this.data.projects.find(p => p.id === projectId) || TaskSchema.makeProject({ name: '' }, this.data.projects);
+    const form = document.getElementById('projectForm');
+    form.dataset.projectId = projectId || '';
+    document.getElementById('projectModalTitle').textContent = projectId ? 'Edit Project' : 'New Project';
+    TaskSchema.PROJECT_FIELDS.forEach(field => { form.elements[field].value = project[field] || ''; });
+    document.getElementById('projectModal').classList.remove('hidden');
+    form.elements.name.focus();
+  }
+
+  async saveProject(e) {
+    e.preventDefault();
+    const form = e.target;
+    const fields = {};
+    TaskSchema.PROJECT_FIELDS.forEach(field => { fields[field] = form.elements[field].value; });
+    ['startDate', 'endDate'].forEach(field => { fields[field] = fields[field] || null; });
+    const saved = form.dataset.projectId ? await this.updateProject(form.dataset.projectId, fields) : await this.createProject(fields);
+    if (!saved) return;
+    this.closeModal('projectModal');
+    if (!document.getElementById('settingsModal').classList.contains('hidden')) this.openSettingsModal();
+  }
+
+  // PATCH a project; a rename comes back with the tasks it moved
+  async updateProject(projectId, changes) {
+    const previous = this.data.projects.find(p => p.id === projectId);
+    try {
+      const { project, tasks } = await this.api('PATCH', `/projects/${encodeURIComponent(projectId)}`, changes);
+      this.applyProjects({
+        projects: this.data.projects.map(p => (p.id === projectId ? project : p)),
+        renamed: previous && previous.name !== project.name ? { from: previous.name, to: project.name } : null
+      });
+      tasks.forEach(task => this.applyRemoteTask(task));
+      this.showToast('✓ Project saved');
+      return true;
+    } catch (error) {
+      this.showProjectError(error);
+      return false;
+    }
+  }
+
+  async setProjectArchived(projectId, archived) {
+    if (await this.updateProject(projectId, { status: archived ? 'archived' : 'active' })) this.openSettingsModal();
+  }
+
+  // Projects that tasks still use can only be archived
+  async removeProject(projectId) {
+    const project = this.data.projects.find(p => p.id === projectId);
+    if (!project) return;
+    const count = this.data.tasks.filter(t => t.project === project.name).length;
+    if (count) {
+      if (project.status !== 'archived' && confirm(`${count === 1 ? '1 task still uses' : `${count} tasks still use`} ${project.name}, so it can't be deleted.\n\nArchive it instead?`)) {
+        await this.setProjectArchived(projectId, true);
+      }
+      return;
+    }
+    if (!confirm(`Delete ${project.name}?`)) return;
+    try {
+      this.applyProjects({ projects: await this.api('DELETE', `/projects/${encodeURIComponent(projectId)}`) });
+      this.openSettingsModal();
+    } catch (error) {
+      this.showProjectError(error);
+    }
+  }
+
+  showProjectError(error) {
+    this.showToast(`❌ ${error.status ? [error.message, ...(error.details || [])].join(', ') : 'Projects need a connection to the server'}`);
+  }
+
+  // From the project routes or the projects.updated event. A rename is carried over to local
+  // settings and the project filter here; the renamed tasks arrive as task.updated.
+  applyProjects({ projects, renamed }) {
+    const filter = document.getElementById('filterProject');
+    const filtered = renamed && filter.value === renamed.from;
+    this.data.projects = projects;
+    if (renamed) TaskSchema.renameProject({ ...this.data, trash: this.trash }, renamed.from, renamed.to);
+    this.populateFilters();
+    if (filtered) filter.value = renamed.to;
+    this.applyFilters();
+  }
+
+  // Project overview (#project=<id>): details, tasks by status, overdue tasks and completion over time
+  goToProject(projectId) {
+    if (location.hash === `#project=${projectId}`) this.openProjectOverview(projectId);
+    else location.hash = `project=${projectId}`;
+  }
+
+  openProjectOverview(projectId) {
+    if (!this.data.projects.some(p => p.id === projectId)) {
+      this.showToast('⚠️ That project no longer exists');
+      return;
+    }
+    this.overviewProjectId = projectId;
+    this.switchView('project');
+    this.loadProjectProgress(projectId);
+  }
+
+  renderProjectOverview() {
+    const container = document.getElementById('projectOverview');
+    const project = this.data.projects.find(p => p.id === this.overviewProjectId);
+    if (!project) {
+      container.innerHTML = '<div class="empty-state"><div class="empty-state-text">This project no longer exists</div></div>';
+      return;
+    }
+    const tasks = this.data.tasks.filter(t => t.project === project.name);
+    const today = this.toDateKey(new Date());
+    const done = tasks.filter(t => this.isDone(t)).length;
+    const overdue = tasks.filter(t => t.deadline && t.deadline < today && !this.isDone(t))
+      .sort((a, b) => a.deadline.localeCompare(b.deadline));
+    const average = tasks.length ? Math.round(tasks.reduce((sum, t) => sum + this.progressOf(t), 0) / tasks.length) : 0;
+    const counts = this.workflowFor(project.name).statuses.map(status => ({ status, count: tasks.filter(t => t.status === status.id).length }));
+    const most = Math.max(1, ...counts.map(c => c.count));
+    const dates = [project.startDate, project.endDate].map(date => (date ? this.formatDate(date) : '…'));
+    const stat = (value, label) => `<div class="stat-card"><div class="stat-value">${value}</div><div class="stat-label">${label}</div></div>`;
+    
+    container.innerHTML = `
+      <div class="project-overview-header" style="--project-color: ${project.color}">
+        <div>
+          <h2>${this.escapeHtml(project.name)} ${project.status === 'archived' ? '<span class="project-archived">Archived</span>' : ''}</h2>
+          <div class="project-overview-meta">${[project.client && this.escapeHtml(project.client), (project.startDate || project.endDate) && dates.join(' – ')].filter(Boolean).join(' · ')}</div>
+          ${project.description ? `<p class="project-overview-description">${this.escapeHtml(project.description)}</p>` : ''}
+        </div>
+        <div class="project-overview-actions">
+          <button class="btn-secondary" onclick="app.showProjectTasks('${project.id}')">Show tasks</button>
+          <button class="btn-secondary admin-only" onclick="app.openProjectModal('${project.id}')">Edit</button>
+        </div>
+      </div>
+      <div class="project-overview-stats">
+        ${stat(tasks.length, 'Tasks')}
+        ${stat(tasks.length - done, 'Open')}
+        ${stat(done, 'Done')}
+        ${stat(overdue.length, 'Overdue')}
+        ${stat(`${average}%`, 'Avg progress')}
+      </div>
+      <div class="project-overview-grid">
+        <section class="project-overview-card">
+          <h3>By status</h3>
+          ${counts.map(({ status, count }) => `
+            <div class="project-status-row">
+              <span class="project-status-name">${this.escapeHtml(status.name)}</span>
+              <div class="project-status-bar"><div style="width: ${count / most * 100}%; background: ${status.color}"></div></div>
+              <span class="project-status-count">${count}</span>
+            </div>
+          `).join('')}
+        </section>
+        <section class="project-overview-card">
+          <h3>Overdue</h3>
+          ${overdue.length ? overdue.map(task => `
+            <div class="project-overdue-item" data-task-id="${task.id}">
+              <span class="list-priority-dot ${task.priority}"></span>
+              <span class="project-overdue-title">${this.escapeHtml(task.title)}</span>
+              <span class="project-overdue-meta">${this.escapeHtml(task.assignee)} · ${this.formatDate(task.deadline)}</span>
+            </div>
+          `).join('') : '<div class="activity-empty">Nothing overdue</div>'}
+        </section>
+        <section class="project-overview-card project-overview-wide">
+          <h3>Progress over time</h3>
+          <div id="projectProgressChart">${this.progressChart()}</div>
+        </section>
+      </div>
+    `;
+    container.querySelectorAll('[data-task-id]').forEach(item => {
+      item.addEventListener('click', () => this.openTaskDetail(item.dataset.taskId));
+    });
+  }
+
+  async loadProjectProgress(projectId) {
+    this.projectProgress = null;
+    try {
+      const { points } = await this.api('GET', `/projects/${encodeURIComponent(projectId)}/progress`);
+      this.projectProgress = { projectId, points };
+    } catch (error) {
+      this.projectProgress = { projectId, error: error.status ? error.message : 'Progress history needs a connection to the server' };
+    }
+    const chart = document.getElementById('projectProgressChart');
+    if (chart && this.currentView === 'project' && this.overviewProjectId === projectId) chart.innerHTML = this.progressChart();
+  }
+
+  // Share of the project's tasks done at each point of its history, as an SVG line
+  progressChart() {
+    const progress = this.projectProgress;
+    if (!progress || progress.projectId !== this.overviewProjectId) return '<div class="activity-empty">Loading...</div>';
+    if (progress.error) return `<div class="activity-empty">${this.escapeHtml(progress.error)}</div>`;
+    const { points } = progress;
+    const width = 600;
+    const height = 140;
+    const x = (i) => (points.length > 1 ? i / (points.length - 1) * width : width);
+    const y = (point) => height - (point.total ? point.done / point.total : 0) * height;
+    const line = points.map((point, i) => `${x(i).toFixed(1)},${y(point).toFixed(1)}`).join(' ');
+    const last = points[points.length - 1];
+    return `
+      <svg class="progress-chart" viewBox="-4 -4 ${width + 8} ${height + 8}">
+        <polygon class="progress-chart-area" points="0,${height} ${line} ${x(points.length - 1)},${height}"></polygon>
+        <polyline class="progress-chart-line" points="${line}"></polyline>
+        ${points.map((point, i) => `
+          <circle cx="${x(i).toFixed(1)}" cy="${y(point).toFixed(1)}" r="3"><title>${this.formatDate(point.date)}: ${point.done}/${point.total} done</title></circle>
+        `).join('')}
+      </svg>
+      <div class="progress-chart-axis">
+        <span>${this.formatDate(points[0].date)}</span>
+        <span>${last.done}/${last.total} done (${last.total ? Math.round(last.done / last.total * 100) : 0}%)</span>
+        <span>${this.formatDate(last.date)}</span>
+      </div>
+    `;
+  }
+
+  showProjectTasks(projectId) {
+    const project = this.data.projects.find(p => p.id === projectId);
+    if (!project) return;
+    this.switchView('list');
+    this.filterByProject(project.name);
+  }
+
+  exportData() {
+    const json = JSON.stringify(this.data, null, 2);
+    const date = new Date().toISOString().split('T')[0];
+    this.downloadFile(`mission-control-export-${date}.json`, json, 'application/json');
+    this.showToast('✓ Exported');
+  }
+
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  async readImportFile(input) {
+    const file = input.files[0];
+    input.value = ''; // Allow picking the same file again
+    if (!file) return;
+    
+    try {
+      this.pendingImport = JSON.parse(await file.text());
+    } catch (error) {
+      this.showToast('❌ Not a valid JSON file');
+      return;
+    }
+    
+    if (!this.renderImportPreview()) return;
+    this.closeModal('settingsModal');
+    document.getElementById('importModal').classList.remove('hidden');
+  }
+
+  getImportMode() {
+    return document.querySelector('input[name="importMode"]:checked').value;
+  }
+
+  // Dry-run the import against this.data and show what would change; false if the file is unusable
+  renderImportPreview() {
+    const plan = TaskSchema.planImport(this.data, this.pendingImport, this.getImportMode());
+    if (plan.error) {
+      this.showToast(`❌ ${plan.error}`);
+      return false;
+    }
+    
+    const stat = (value, label) => `
+      <div class="stat-card">
+        <div class="stat-value">${value}</div>
+        <div class="stat-label">${label}</div>
+      </div>
+    `;
+    document.getElementById('importPreview').innerHTML = `
+      <div class="import-summary">
+        ${stat(plan.added, 'Tasks added')}
+        ${stat(plan.updated, 'Tasks updated')}
+        ${stat(plan.skipped.length, 'Tasks skipped')}
+        ${stat(plan.removed, 'Tasks removed')}
+        ${stat(plan.projectsAdded.length, 'Projects added')}
+        ${stat(plan.assigneesAdded.length, 'Assignees added')}
+      </div>
+      ${plan.skipped.length ? `
+        <ul class="import-skipped">
+          ${plan.skipped.map(s => `<li>${this.escapeHtml(s.title)}: ${this.escapeHtml(s.reason)}</li>`).join('')}
+        </ul>
+      ` : ''}
+    `;
+    document.getElementById('confirmImport').disabled = plan.added + plan.updated + plan.removed === 0;
+    return true;
+  }
+
+  async confirmImport() {
+    try {
+      const summary = await this.api('POST', '/import', { mode: this.getImportMode(), data: this.pendingImport });
+      this.closeModal('importModal');
+      this.pendingImport = null;
+      await this.refresh();
+      this.showToast(`✓ Imported: ${summary.added} added, ${summary.updated} updated`);
+    } catch (error) {
+      console.error('Import error:', error);
+      this.showToast(`❌ ${error.status ? error.message : 'Import needs a connection to the server'}`);
+    }
+  }
+
+  // Export exactly what the list shows (filters and search applied)
+  exportCsv() {
+    const date = new Date().toISOString().split('T')[0];
+    this.downloadFile(`mission-control-tasks-${date}.csv`, TaskCsv.tasksToCsv(this.filteredTasks, this.data.settings), 'text/csv');
+    this.showToast(`✓ Exported ${this.filteredTasks.length} tasks`);
+  }
+
+  async importCsv(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    
+    try {
+      const report = await this.api('POST', '/import/csv', await file.text(), 'text/csv');
+      await this.refresh();
+      this.showCsvReport(report);
+    } catch (error) {
+      console.error('CSV import error:', error);
+      this.showToast(`❌ ${error.status ? error.message : 'Import needs a connection to the server'}`);
+    }
+  }
+
+  showCsvReport(report) {
+    const names = list => list.map(name => this.escapeHtml(name)).join(', ');
+    const created = [
+      report.projectsAdded.length ? `New projects: ${names(report.projectsAdded)}` : '',
+      report.assigneesAdded.length ? `New assignees: ${names(report.assigneesAdded)}` : ''
+    ].filter(Boolean);
+    
+    document.getElementById('csvReport').innerHTML = `
+      <div class="import-summary">
+        <div class="stat-card"><div class="stat-value">${report.added}</div><div class="stat-label">Added</div></div>
+        <div class="stat-card"><div class="stat-value">${report.updated}</div><div class="stat-label">Updated</div></div>
+        <div class="stat-card"><div class="stat-value">${report.failed.length}</div><div class="stat-label">Failed</div></div>
+      </div>
+      ${created.map(line => `<p class="import-note">${line}</p>`).join('')}
+      ${report.failed.length ? `
+        <ul class="import-skipped">
+          ${report.failed.map(f => `<li>Row ${f.row}: ${names(f.errors)}</li>`).join('')}
+        </ul>
+      ` : ''}
+    `;
+    document.getElementById('csvReportModal').classList.remove('hidden');
+  }
+
+  toggleTheme() {
+    const current = document.body.dataset.theme || 'dark';
+    const newTheme = current === 'dark' ? 'light' : 'dark';
+    document.body.dataset.theme = newTheme;
+    this.data.settings.theme = newTheme;
+    this.saveData();
+    document.querySelector('.theme-icon').textContent = newTheme === 'dark' ? '☀️' : '🌙';
+  }
+
+  applySettings() {
+    document.body.dataset.theme = this.data.settings.theme;
+    this.currentView = this.data.settings.defaultView;
+    this.currentCalendarView = this.data.settings.defaultCalendarView;
+    this.populateFilters();
+  }
+
+  // Fill the assignee/project dropdowns, keeping the current selection if it still exists
+  populateFilters() {
+    // `builtIn` maps extra option values to labels, listed after "All"
+    const fill = (id, values, builtIn = {}) => {
+      const select = document.getElementById(id);
+      const options = { all: 'All', ...builtIn };
+      const selected = values.includes(select.value) || options[select.value] ? select.value : 'all';
+      select.innerHTML = Object.entries(options).map(([v, label]) => `<option value="${v}">${label}</option>`).join('') + 
+        values.map(v => `<option value="${v}">${v}</option>`).join('');
+      select.value = selected;
+    };
+    fill('filterAssignee', this.data.assignees, this.user && this.user.assignee ? { me: '👤 My tasks' } : {});
+    fill('filterProject', this.projectNames(true));
   }
 
   handleKeyboard(e) {
@@ -794,7 +4345,13 @@ class MissionControl {
     } else if (e.key === 'Escape') {
       this.closeModal('newTaskModal');
       this.closeModal('settingsModal');
+      this.closeModal('trashModal');
+      this.closeModal('projectModal');
+      this.toggleNotifications(false);
+      this.toggleTagFilter(false);
+      this.toggleListColumns(false);
       this.closeSidebar();
+      this.clearSelection();
     } else if (e.key === '?') {
       this.showShortcuts();
     }
@@ -809,11 +4366,14 @@ class MissionControl {
     document.getElementById(modalId).classList.add('hidden');
   }
 
-  showToast(message) {
+  // `undoable` adds an Undo button for the action just recorded
+  showToast(message, undoable = false) {
     const toast = document.getElementById('toast');
     document.getElementById('toastMessage').textContent = message;
+    document.getElementById('toastUndo').classList.toggle('hidden', !undoable);
     toast.classList.remove('hidden');
-    setTimeout(() => toast.classList.add('hidden'), 2000);
+    clearTimeout(this.toastTimeout);
+    this.toastTimeout = setTimeout(() => toast.classList.add('hidden'), undoable ? 5000 : 2000);
   }
 }
 
@@ -0,0 +1,183 @@
+/**
+ * CSV conversion for task lists, shared by the browser (window.TaskCsv) and the server
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./schema'));
+  else root.TaskCsv = factory(root.TaskSchema);
+})(typeof self !== 'undefined' ? self : this, function (TaskSchema) {
+  const COLUMNS = ['id', 'title', 'project', 'assignee', 'status', 'priority', 'deadline', 'effort', 'progress', 'tags', 'nextAction', 'notes'];
+
+  // Header names people actually use in client spreadsheets
+  const HEADER_ALIASES = {
+    id: 'id',
+    title: 'title', task: 'title', name: 'title', deliverable: 'title',
+    project: 'project', client: 'project',
+    assignee: 'assignee', owner: 'assignee', 'assigned to': 'assignee',
+    status: 'status', stage: 'status',
+    priority: 'priority',
+    deadline: 'deadline', due: 'deadline', 'due date': 'deadline',
+    effort: 'effort',
+    progress: 'progress', '% complete': 'progress',
+    tags: 'tags', labels: 'tags',
+    'next action': 'nextAction', nextaction: 'nextAction',
+    notes: 'notes', comments: 'notes'
+  };
+
+  const STATUS_ALIASES = { 'to do': 'todo', 'in progress': 'doing', complete: 'done', completed: 'done' };
+
+  // Quote a cell per RFC 4180 and defuse spreadsheet formulas
+  function escapeCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function stringify(rows) {
+    return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function parse(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  function tasksToCsv(tasks, settings) {
+    return stringify([
+      COLUMNS,
+      ...tasks.map(task => COLUMNS.map(column => {
+        if (column === 'tags') return (task.tags || []).join('; ');
+        if (column === 'progress') return TaskSchema.computeProgress(task, settings);
+        return task[column];
+      }))
+    ]);
+  }
+
+  // Turn one spreadsheet row (already keyed by field) into task fields
+  function rowToTask(record) {
+    const task = {};
+    Object.entries(record).forEach(([field, raw]) => {
+      const value = raw.trim().replace(/^'(?=[=+\-@])/, '');
+      if (value === '') return;
+      if (field === 'status') {
+        const status = value.toLowerCase();
+        task.status = STATUS_ALIASES[status] || status;
+      } else if (field === 'priority' || field === 'effort') {
+        task[field] = value.toLowerCase();
+      } else if (field === 'progress') {
+        task.progress = Number(value.replace('%', ''));
+      } else if (field === 'tags') {
+        task.tags = value.split(/[;,]/).map(t => t.trim()).filter(Boolean);
+      } else {
+        task[field] = value;
+      }
+    });
+    return task;
+  }
+
+  // Statuses are read against the project's workflow: its status ids or names ("Client Review"),
+  // default-workflow statuses mapped across (see TaskSchema.mapStatus), or its first status if empty
+  function resolveStatus(task, settings) {
+    const workflow = TaskSchema.workflowFor(settings, task.project);
+    if (!task.status) return TaskSchema.initialStatus(workflow);
+    const match = workflow.statuses.find(s => s.id === task.status || s.name.toLowerCase() === task.status);
+    if (match) return match.id;
+    const standard = TaskSchema.DEFAULT_WORKFLOW;
+    return standard.statuses.some(s => s.id === task.status) ? TaskSchema.mapStatus(task.status, standard, workflow) : task.status;
+  }
+
+  // Only the columns that differ from the stored task. The progress column holds the computed
+  // value on export, so it only becomes a manual override when it was actually edited.
+  function rowChanges(fields, existing, settings) {
+    const changes = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      if (field !== 'id' && JSON.stringify(value) !== JSON.stringify(existing[field])) changes[field] = value;
+    });
+    if (changes.status !== undefined) changes.status = resolveStatus({ ...existing, ...changes }, settings);
+    if (changes.status === existing.status) delete changes.status;
+    if (changes.progress !== undefined) {
+      if (changes.progress === TaskSchema.computeProgress(existing, settings)) delete changes.progress;
+      else if ((existing.checklist || []).length) changes.progressManual = true;
+    }
+    return changes;
+  }
+
+  /**
+   * Parse CSV text into tasks. Columns are matched by header name (see HEADER_ALIASES),
+   * unknown columns are ignored. `settings` supplies the workflows statuses are checked against.
+   * Rows whose id matches one of `existingTasks` become updates holding only the changed columns;
+   * they are validated by whoever applies them. An id used by an earlier new row is an error.
+   * Returns { creates, updates, errors } where each create is { row, task }, each update is
+   * { row, id, changes } and each error is { row, errors }, using 1-based spreadsheet row numbers
+   * (header is row 1).
+   */
+  function csvToTasks(text, settings, existingTasks = []) {
+    const [header, ...rows] = parse(text);
+    if (!header || !header.some(c => c.trim())) return { creates: [], updates: [], errors: [{ row: 1, errors: ['file is empty'] }] };
+
+    const fields = header.map(name => HEADER_ALIASES[name.trim().toLowerCase()] || null);
+    if (!fields.includes('title')) return { creates: [], updates: [], errors: [{ row: 1, errors: ['a "title" column is required'] }] };
+
+    const creates = [];
+    const updates = [];
+    const errors = [];
+    rows.forEach((cells, index) => {
+      if (!cells.some(c => c.trim())) return;
+      const record = {};
+      fields.forEach((field, column) => {
+        if (field && cells[column] !== undefined) record[field] = cells[column];
+      });
+      const parsed = rowToTask(record);
+      const existing = parsed.id && existingTasks.find(t => t.id === parsed.id);
+      if (existing) {
+        updates.push({ row: index + 2, id: existing.id, changes: rowChanges(parsed, existing, settings) });
+        return;
+      }
+      const task = { ...TaskSchema.TASK_DEFAULTS, status: '', ...parsed };
+      task.status = resolveStatus(task, settings);
+      const rowErrors = TaskSchema.validateTask(task);
+      if (!rowErrors.length) rowErrors.push(...TaskSchema.validateStatus(task, settings));
+      const earlier = task.id && creates.find(create => create.task.id === task.id);
+      if (earlier) rowErrors.push(`id ${task.id} is already used on row ${earlier.row}`);
+      if (rowErrors.length) errors.push({ row: index + 2, errors: rowErrors });
+      else creates.push({ row: index + 2, task });
+    });
+    return { creates, updates, errors };
+  }
+
+  return { COLUMNS, stringify, parse, tasksToCsv, csvToTasks };
+});
@@ -0,0 +1,52 @@
+/**
+ * Login page: signs in, or creates the first admin account on a fresh install
+ */
+(async function () {
+  const API_BASE = '/api';
+  const form = document.getElementById('loginForm');
+  const errorBox = document.getElementById('loginError');
+  let setup = false;
+
+  const showError = (message) => {
+    errorBox.textContent = message;
+    errorBox.classList.remove('hidden');
+  };
+
+  try {
+    const session = await (await fetch(`${API_BASE}/auth/session`)).json();
+    if (session.user) {
+      window.location.replace('./');
+      return;
+    }
+    if (session.setupRequired) {
+      setup = true;
+      document.getElementById('setupNote').classList.remove('hidden');
+      document.getElementById('nameGroup').classList.remove('hidden');
+      form.elements.password.autocomplete = 'new-password';
+      document.getElementById('loginSubmit').textContent = 'Create Admin Account';
+    }
+  } catch (error) {
+    showError('Server unreachable');
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    errorBox.classList.add('hidden');
+
+    try {
+      const response = await fetch(`${API_BASE}/auth/${setup ? 'setup' : 'login'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Object.fromEntries(new FormData(form)))
+      });
+      if (response.ok) {
+        window.location.replace('./');
+        return;
+      }
+      const result = await response.json();
+      showError(result.details ? result.details.join(', ') : result.error);
+    } catch (error) {
+      showError('Server unreachable');
+    }
+  });
+})();
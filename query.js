@@ -0,0 +1,146 @@
+/**
+ * Query language for the search box and saved views
+ * Loaded as a plain <script> (exposes window.TaskQuery) or via require()
+ *
+ *   assignee:Laith priority:p0,p1 due:<7d status:!done tag:video "recap"
+ *
+ * `field:a,b` matches any of the values, `field:!a` excludes them, quoted or bare words
+ * search title, notes, next action, project and tags. See README "Search".
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TaskQuery = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FIELDS = ['assignee', 'project', 'priority', 'status', 'effort', 'tag', 'due'];
+  const FIELD_ALIASES = { tags: 'tag', deadline: 'due', owner: 'assignee', client: 'project' };
+
+  // Split on whitespace, keeping "quoted phrases" (also as field values: project:"FD Properties") together
+  function tokenize(text) {
+    const tokens = [];
+    const pattern = /(\S+?:)?"([^"]*)"?|\S+/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      tokens.push(match[2] !== undefined ? { prefix: match[1] || '', value: match[2], quoted: true } : { prefix: '', value: match[0] });
+    }
+    return tokens;
+  }
+
+  // due: values - today, overdue, none, YYYY-MM-DD or a relative day count (3d, 2w),
+  // with an optional <, <=, > or >= in front
+  function parseDue(value) {
+    const lower = value.toLowerCase();
+    if (['today', 'overdue', 'none', 'any'].includes(lower)) return { keyword: lower };
+    const match = /^(<=|>=|<|>|=)?(?:(\d{4}-\d{2}-\d{2})|(-?\d+)([dw]))$/.exec(lower);
+    if (!match) return null;
+    const [, op = '=', date, amount, unit] = match;
+    return { op, date, days: date ? null : Number(amount) * (unit === 'w' ? 7 : 1) };
+  }
+
+  /**
+   * Parse query text into { terms, words, errors }. Each term is { field, values, negate };
+   * words are the free-text parts. Malformed parts are reported in errors and ignored.
+   */
+  function parseQuery(text) {
+    const terms = [];
+    const words = [];
+    const errors = [];
+    tokenize(text || '').forEach(token => {
+      let raw = token.prefix ? `${token.prefix}${token.value}` : token.value;
+      const fieldMatch = token.quoted && !token.prefix ? null : /^([a-z]+):(.*)$/i.exec(raw);
+      if (!fieldMatch) {
+        if (token.value.trim()) words.push(token.value.toLowerCase());
+        return;
+      }
+      const name = fieldMatch[1].toLowerCase();
+      const field = FIELD_ALIASES[name] || name;
+      if (!FIELDS.includes(field)) {
+        errors.push(`unknown field "${name}"`);
+        return;
+      }
+      raw = fieldMatch[2];
+      const negate = raw.startsWith('!');
+      if (negate) raw = raw.slice(1);
+      const values = (token.quoted ? [raw] : raw.split(',')).map(v => v.trim()).filter(Boolean);
+      if (!values.length) {
+        errors.push(`${name}: needs a value`);
+        return;
+      }
+      if (field === 'due') {
+        const parsed = values.map(parseDue);
+        const bad = values.filter((v, i) => !parsed[i]);
+        if (bad.length) {
+          errors.push(`due: doesn't understand ${bad.join(', ')}`);
+          return;
+        }
+        terms.push({ field, values: parsed, negate });
+        return;
+      }
+      terms.push({ field, values: values.map(v => v.toLowerCase()), negate });
+    });
+    return { terms, words, errors };
+  }
+
+  function addDays(key, days) {
+    const date = new Date(`${key}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  function matchesDue(task, due, today, isDone) {
+    if (due.keyword === 'none') return !task.deadline;
+    if (due.keyword === 'any') return !!task.deadline;
+    if (!task.deadline) return false;
+    if (due.keyword === 'today') return task.deadline === today;
+    if (due.keyword === 'overdue') return task.deadline < today && !isDone(task);
+    const target = due.date || addDays(today, due.days);
+    // Relative "before" ranges start today: due:<7d means within the next week, not any time before it
+    const from = !due.date && due.days > 0 ? today : '';
+    switch (due.op) {
+      case '<': return task.deadline < target && task.deadline >= from;
+      case '<=': return task.deadline <= target && task.deadline >= from;
+      case '>': return task.deadline > target;
+      case '>=': return task.deadline >= target;
+      default: return task.deadline === target;
+    }
+  }
+
+  function matchesValue(task, field, value) {
+    switch (field) {
+      case 'assignee':
+      case 'project': {
+        // Anything starting at a word boundary (assignee:laith matches "Laith Ahmad")
+        return ` ${(task[field] || '').toLowerCase()}`.includes(` ${value}`);
+      }
+      case 'tag':
+        return (task.tags || []).some(tag => tag.toLowerCase() === value.replace(/^#/, ''));
+      default:
+        return (task[field] || '') === value;
+    }
+  }
+
+  /**
+   * Does a task satisfy a parsed query? `context` gives today's date as YYYY-MM-DD, the
+   * assignee that `assignee:me` stands for and `isDone(task)` for workflows where statuses
+   * other than "done" count as finished (status:done matches all of them).
+   */
+  function matchesQuery(task, query, context = {}) {
+    const today = context.today || new Date().toISOString().slice(0, 10);
+    const isDone = context.isDone || (t => t.status === 'done');
+    const termsMatch = query.terms.every(term => {
+      const hit = term.values.some(value => {
+        if (term.field === 'due') return matchesDue(task, value, today, isDone);
+        if (term.field === 'status' && value === 'done') return isDone(task);
+        if (term.field === 'assignee' && value === 'me') return !!context.me && task.assignee === context.me;
+        return matchesValue(task, term.field, value);
+      });
+      return term.negate ? !hit : hit;
+    });
+    if (!termsMatch) return false;
+
+    const haystack = [task.title, task.notes, task.nextAction, task.project, ...(task.tags || [])]
+      .filter(Boolean).join(' ').toLowerCase();
+    return query.words.every(word => haystack.includes(word.replace(/^#/, '')));
+  }
+
+  return { FIELDS, parseQuery, matchesQuery };
+});
@@ -0,0 +1,132 @@
+/**
+ * Natural-language parser for Quick Add (Cmd/Ctrl+K)
+ * Loaded as a plain <script> (exposes window.QuickAdd) or via require()
+ *
+ *   Edit 16:9 master recap #Skyvertise @Laith !p0 fri ~large
+ *
+ * `#project`, `@assignee`, `!p0`-`!p3`, `~small|medium|large` and a due date (today, tomorrow,
+ * on fri, ^fri, next week, in 3 days, Feb 10, 2026-02-10) are taken out; what is left is the title.
+ * A bare weekday is only read as a date when it is the last word.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.QuickAdd = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const EFFORTS = { s: 'small', small: 'small', m: 'medium', medium: 'medium', l: 'large', large: 'large' };
+
+  const WEEKDAY_PATTERN = '(sunday|sun|monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat)';
+  const MONTH_PATTERN = '(january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec)';
+
+  function addDays(key, days) {
+    const date = new Date(`${key}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  function weekday(key) {
+    return new Date(`${key}T00:00:00Z`).getUTCDay();
+  }
+
+  // "Feb 10" is this year's, unless that has already gone by
+  function monthDay(today, monthName, day) {
+    const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+    const pad = (n) => String(n).padStart(2, '0');
+    let year = Number(today.slice(0, 4));
+    let key = `${year}-${pad(month + 1)}-${pad(day)}`;
+    if (key < today) key = `${++year}-${pad(month + 1)}-${pad(day)}`;
+    return new Date(`${key}T00:00:00Z`).toISOString().startsWith(key) ? key : null;
+  }
+
+  // Each rule turns a match into a YYYY-MM-DD date (or null when the words aren't a real date)
+  const DATE_RULES = [
+    [/\b(\d{4}-\d{2}-\d{2})\b/i, (m) => (/^\d{4}-\d{2}-\d{2}$/.test(m[1]) && !isNaN(new Date(m[1])) ? m[1] : null)],
+    [/\b(today|tonight)\b/i, (m, today) => today],
+    [/\b(tomorrow|tmrw|tmr)\b/i, (m, today) => addDays(today, 1)],
+    [/\bnext week\b/i, (m, today) => addDays(today, ((8 - weekday(today)) % 7) || 7)], // Next Monday
+    [/\bin (\d{1,3}) (day|days|week|weeks)\b/i, (m, today) => addDays(today, Number(m[1]) * (m[2].startsWith('week') ? 7 : 1))],
+    [new RegExp(`\\b${MONTH_PATTERN}\\.? (\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'), (m, today) => monthDay(today, m[1], Number(m[2]))],
+    [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? ${MONTH_PATTERN}\\b`, 'i'), (m, today) => monthDay(today, m[2], Number(m[1]))],
+    // A weekday is the next one after today ("fri" on a Friday is a week away). It only counts
+    // after a preposition or `^`, or as the last word, so "Sat down with client" keeps its title.
+    [new RegExp(`(?:(?:\\b(?:next|on|by|due|until|this) |\\^)${WEEKDAY_PATTERN}\\b|\\b${WEEKDAY_PATTERN}(?=\\s*$))`, 'i'), (m, today) => {
+      const target = WEEKDAYS.indexOf((m[1] || m[2]).slice(0, 3).toLowerCase());
+      return addDays(today, ((target - weekday(today) + 6) % 7) + 1);
+    }]
+  ];
+
+  const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  // Find the name a `#`/`@` token refers to: the longest name written out in full after the sigil
+  // ("#FD Properties"), else a name the single word squashes or abbreviates to ("#fdproperties", "#sky")
+  function matchName(text, index, names) {
+    const rest = text.slice(index + 1);
+    const spelled = [...names].sort((a, b) => b.length - a.length).find(name =>
+      rest.toLowerCase().startsWith(name.toLowerCase()) && !/[\w-]/.test(rest.charAt(name.length)));
+    if (spelled) return { name: spelled, length: spelled.length + 1 };
+
+    const word = (/^[^\s#@!~]+/.exec(rest) || [''])[0];
+    const key = normalize(word);
+    if (!key) return null;
+    const name = names.find(n => normalize(n) === key) || names.find(n => normalize(n).startsWith(key));
+    return name ? { name, length: word.length + 1 } : { unknown: word, length: word.length + 1 };
+  }
+
+  /**
+   * Parse Quick Add text. `context` is { projects, assignees, today: 'YYYY-MM-DD', me }.
+   * Returns { title, fields, tokens, warnings }: fields holds only what the text set
+   * (project, assignee, priority, deadline, effort), tokens the text each was read from.
+   */
+  function parseQuickAdd(text, context) {
+    const fields = {};
+    const tokens = [];
+    const warnings = [];
+    let rest = ` ${text} `;
+    const take = (start, length, field, value) => {
+      tokens.push({ field, text: rest.substr(start, length).trim() });
+      fields[field] = value;
+      rest = `${rest.slice(0, start)} ${rest.slice(start + length)}`;
+    };
+
+    [['#', 'project', context.projects || []], ['@', 'assignee', context.assignees || []]].forEach(([sigil, field, names]) => {
+      const pattern = new RegExp(`\\s${sigil}(?=\\S)`, 'g');
+      let match;
+      while ((match = pattern.exec(rest))) {
+        const index = match.index + 1;
+        const found = field === 'assignee' && /^@me\b/i.test(rest.slice(index)) && context.me
+          ? { name: context.me, length: 3 }
+          : matchName(rest, index, names);
+        // A sigil followed by punctuation ("#$", "@!") is plain text
+        if (!found) continue;
+        if (found.unknown !== undefined) {
+          warnings.push(`No ${field} called "${found.unknown}"`);
+        } else if (fields[field]) {
+          warnings.push(`More than one ${field}; using ${fields[field]}`);
+        } else {
+          take(index, found.length, field, found.name);
+          pattern.lastIndex = index;
+        }
+      }
+    });
+
+    const priority = /\s!(?:p)?([0-3])(?=\s)/i.exec(rest);
+    if (priority) take(priority.index + 1, priority[0].length - 1, 'priority', `p${priority[1]}`);
+
+    const effort = /\s~(small|medium|large|s|m|l)(?=\s)/i.exec(rest);
+    if (effort) take(effort.index + 1, effort[0].length - 1, 'effort', EFFORTS[effort[1].toLowerCase()]);
+
+    for (const [pattern, toDate] of DATE_RULES) {
+      const match = pattern.exec(rest);
+      const date = match && toDate(match, context.today);
+      if (date) {
+        take(match.index, match[0].length, 'deadline', date);
+        break;
+      }
+    }
+
+    return { title: rest.replace(/\s+/g, ' ').trim(), fields, tokens, warnings };
+  }
+
+  return { parseQuickAdd };
+});
@@ -0,0 +1,549 @@
+/**
+ * Task schema shared by the browser (app.js) and the server (server.js)
+ * Loaded as a plain <script> (exposes window.TaskSchema) or via require()
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.TaskSchema = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // See README "Data Structure". STATUSES are the default workflow's; see DEFAULT_WORKFLOW
+  const STATUSES = ['backlog', 'todo', 'doing', 'review', 'done'];
+  const PRIORITIES = ['p0', 'p1', 'p2', 'p3'];
+  const EFFORTS = ['small', 'medium', 'large'];
+  const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+  const TASK_FIELDS = ['title', 'project', 'status', 'priority', 'assignee', 'deadline', 'effort', 'progress', 'progressManual', 'checklist', 'blockedBy', 'recurrence', 'rank', 'nextAction', 'tags', 'notes'];
+  const TASK_ID_PATTERN = /^[\w-]+$/;
+  const TASK_DEFAULTS = {
+    status: 'todo',
+    priority: 'p1',
+    deadline: null,
+    effort: 'medium',
+    progress: 0,
+    progressManual: false, // true when `progress` overrides the checklist
+    checklist: [], // [{ id, text, done }]
+    blockedBy: [], // ids of tasks that must be done first
+    recurrence: null, // { frequency, interval, weekdays?, monthDay?, until }, see nextOccurrence
+    rank: null, // Position in its Kanban column, lowest first; unranked tasks go last
+    nextAction: '',
+    tags: [],
+    notes: ''
+  };
+
+  // Workflows (README "Workflows"): settings.workflows lists them and settings.projectWorkflows maps
+  // a project name to a workflow id. Projects without one use the first workflow.
+  const DEFAULT_WORKFLOW = {
+    id: 'default',
+    name: 'Default',
+    initial: 'todo', // Status new tasks start in; the first status when left out
+    statuses: [
+      { id: 'backlog', name: 'Backlog', color: '#8e8e93', done: false },
+      { id: 'todo', name: 'To Do', color: '#007aff', done: false },
+      { id: 'doing', name: 'Doing', color: '#ff9500', done: false },
+      { id: 'review', name: 'Review', color: '#af52de', done: false },
+      { id: 'done', name: 'Done', color: '#34c759', done: true }
+    ]
+  };
+
+  function getWorkflows(settings) {
+    const workflows = settings && settings.workflows;
+    return Array.isArray(workflows) && workflows.length ? workflows : [DEFAULT_WORKFLOW];
+  }
+
+  function workflowFor(settings, project) {
+    const workflows = getWorkflows(settings);
+    const id = settings && settings.projectWorkflows && settings.projectWorkflows[project];
+    return workflows.find(w => w.id === id) || workflows[0];
+  }
+
+  function initialStatus(workflow) {
+    return workflow.statuses.some(s => s.id === workflow.initial) ? workflow.initial : workflow.statuses[0].id;
+  }
+
+  // Does the task count as finished under its project's workflow? Without settings, only 'done' does
+  function isDone(task, settings) {
+    const status = workflowFor(settings, task.project).statuses.find(s => s.id === task.status);
+    return status ? status.done : task.status === 'done';
+  }
+
+  // Where a task's status lands when it moves from one workflow to another: the same id if the new
+  // workflow has it, else the first finished status for finished tasks, else the unfinished status
+  // at the same position (the last one if the new workflow has fewer)
+  function mapStatus(status, from, to) {
+    if (to.statuses.some(s => s.id === status)) return status;
+    const old = from.statuses.find(s => s.id === status);
+    const open = to.statuses.filter(s => !s.done);
+    if ((old && old.done) || !open.length) return (to.statuses.find(s => s.done) || to.statuses[0]).id;
+    const index = old ? from.statuses.filter(s => !s.done).indexOf(old) : 0;
+    return open[Math.min(index, open.length - 1)].id;
+  }
+
+  // Errors in settings.workflows / settings.projectWorkflows
+  function validateWorkflows(settings) {
+    const errors = [];
+    const workflows = settings.workflows;
+    if (!Array.isArray(workflows) || !workflows.length) return ['workflows must be a non-empty array'];
+    const ids = new Set();
+    workflows.forEach((workflow, index) => {
+      const label = workflow && workflow.name ? `workflow "${workflow.name}"` : `workflow #${index + 1}`;
+      if (!workflow || typeof workflow.id !== 'string' || !workflow.id) return errors.push(`${label}: id is required`);
+      if (ids.has(workflow.id)) errors.push(`${label}: duplicate id ${workflow.id}`);
+      ids.add(workflow.id);
+      if (typeof workflow.name !== 'string' || !workflow.name.trim()) errors.push(`${label}: name is required`);
+      if (!Array.isArray(workflow.statuses) || !workflow.statuses.length) return errors.push(`${label}: needs at least one status`);
+      const statusIds = new Set();
+      workflow.statuses.forEach(status => {
+        if (!status || typeof status.id !== 'string' || !/^[a-z0-9-]+$/.test(status.id)) {
+          errors.push(`${label}: status ids must be lowercase letters, digits and dashes`);
+        } else if (statusIds.has(status.id)) {
+          errors.push(`${label}: duplicate status ${status.id}`);
+        } else {
+          statusIds.add(status.id);
+        }
+        if (!status || typeof status.name !== 'string' || !status.name.trim()) errors.push(`${label}: every status needs a name`);
+        if (status && !/^#[0-9a-f]{6}$/i.test(status.color)) errors.push(`${label}: status colors must be #rrggbb`);
+        if (status && typeof status.done !== 'boolean') errors.push(`${label}: status done must be true or false`);
+      });
+      if (!workflow.statuses.some(s => s && s.done)) errors.push(`${label}: needs a status that counts as done`);
+      if (workflow.initial !== undefined && !statusIds.has(workflow.initial)) errors.push(`${label}: initial must be one of its statuses`);
+    });
+    const assigned = settings.projectWorkflows || {};
+    if (typeof assigned !== 'object' || Array.isArray(assigned)) {
+      errors.push('projectWorkflows must map project names to workflow ids');
+    } else {
+      Object.entries(assigned).forEach(([project, id]) => {
+        if (!ids.has(id)) errors.push(`projectWorkflows: ${project} uses unknown workflow ${id}`);
+      });
+    }
+    return errors;
+  }
+
+  // The status must be one of its project's workflow (validateTask only checks it is a string)
+  function validateStatus(task, settings) {
+    const workflow = workflowFor(settings, task.project);
+    if (workflow.statuses.some(s => s.id === task.status)) return [];
+    return [`status must be one of ${workflow.statuses.map(s => s.id).join(', ')} (${workflow.name} workflow)`];
+  }
+
+  // Move tasks whose status their project's workflow no longer has onto one it does (see mapStatus).
+  // `previous` are the settings the statuses were valid under. Returns the tasks that changed.
+  function migrateStatuses(tasks, settings, previous) {
+    return tasks.filter(task => {
+      if (!validateStatus(task, settings).length) return false;
+      task.status = mapStatus(task.status, workflowFor(previous, task.project), workflowFor(settings, task.project));
+      return true;
+    });
+  }
+
+  // Projects (README "Data Structure"). Tasks, saved views and settings.projectWorkflows refer to a
+  // project by name; archived projects keep their tasks but are left out of pickers.
+  const PROJECT_STATUSES = ['active', 'archived'];
+  const PROJECT_FIELDS = ['name', 'client', 'color', 'status', 'startDate', 'endDate', 'description'];
+  const PROJECT_COLORS = ['#007aff', '#34c759', '#ff9500', '#af52de', '#ff2d55', '#5ac8fa', '#ffcc00', '#8e8e93'];
+
+  // A new project with `fields`, its id derived from the name and unique among `projects`
+  function makeProject(fields, projects = []) {
+    const base = `project-${String(fields.name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'untitled'}`;
+    let id = base;
+    for (let n = 2; projects.some(p => p.id === id); n++) id = `${base}-${n}`;
+    return {
+      id,
+      client: '',
+      color: PROJECT_COLORS[projects.length % PROJECT_COLORS.length],
+      status: 'active',
+      startDate: null,
+      endDate: null,
+      description: '',
+      ...fields
+    };
+  }
+
+  // Projects saved before they were objects are plain names
+  function upgradeProjects(projects) {
+    return (projects || []).reduce((list, project) => {
+      list.push(typeof project === 'string' ? makeProject({ name: project }, list) : project);
+      return list;
+    }, []);
+  }
+
+  function validateProject(project, projects = []) {
+    const errors = [];
+    if (typeof project.name !== 'string' || !project.name.trim()) errors.push('name is required');
+    else if (projects.some(p => p.id !== project.id && p.name === project.name)) errors.push(`a project named ${project.name} already exists`);
+    if (typeof project.id !== 'string' || !project.id) errors.push('id is required');
+    ['client', 'description'].forEach(field => {
+      if (typeof project[field] !== 'string') errors.push(`${field} must be a string`);
+    });
+    if (!/^#[0-9a-f]{6}$/i.test(project.color)) errors.push('color must be #rrggbb');
+    if (!PROJECT_STATUSES.includes(project.status)) errors.push(`status must be one of ${PROJECT_STATUSES.join(', ')}`);
+    ['startDate', 'endDate'].forEach(field => {
+      if (project[field] !== null && !isValidDate(project[field])) errors.push(`${field} must be null or a YYYY-MM-DD date`);
+    });
+    if (project.startDate && project.endDate && project.endDate < project.startDate) errors.push('endDate must not be before startDate');
+    return errors;
+  }
+
+  // Copy only known project fields from a request body
+  function pickProjectFields(body) {
+    const project = {};
+    PROJECT_FIELDS.forEach(field => {
+      if (body[field] !== undefined) project[field] = typeof body[field] === 'string' && field !== 'description' ? body[field].trim() : body[field];
+    });
+    return project;
+  }
+
+  // Point everything that names project `from` at `to`: tasks (also those in the trash), saved views
+  // and the workflow assignment. Returns the live tasks that changed.
+  function renameProject(data, from, to) {
+    (data.trash || []).forEach(task => { if (task.project === from) task.project = to; });
+    const settings = data.settings || {};
+    (settings.views || []).forEach(view => { if (view.project === from) view.project = to; });
+    if (settings.projectWorkflows && from in settings.projectWorkflows) {
+      settings.projectWorkflows[to] = settings.projectWorkflows[from];
+      delete settings.projectWorkflows[from];
+    }
+    return data.tasks.filter(task => {
+      if (task.project !== from) return false;
+      task.project = to;
+      return true;
+    });
+  }
+
+  function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+  }
+
+  function validateRecurrence(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['recurrence must be null or an object'];
+    const errors = [];
+    if (!RECURRENCE_FREQUENCIES.includes(rule.frequency)) {
+      errors.push(`recurrence.frequency must be one of ${RECURRENCE_FREQUENCIES.join(', ')}`);
+    }
+    if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365)) {
+      errors.push('recurrence.interval must be an integer from 1 to 365');
+    }
+    if (rule.weekdays !== undefined && (!Array.isArray(rule.weekdays) ||
+      rule.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      errors.push('recurrence.weekdays must be an array of days from 0 (Sunday) to 6');
+    }
+    if (rule.monthDay !== undefined && (!Number.isInteger(rule.monthDay) || rule.monthDay < 1 || rule.monthDay > 31)) {
+      errors.push('recurrence.monthDay must be an integer from 1 to 31');
+    }
+    if (rule.until !== undefined && rule.until !== null && !isValidDate(rule.until)) {
+      errors.push('recurrence.until must be null or a YYYY-MM-DD date');
+    }
+    return errors;
+  }
+
+  // Returns a list of validation errors; `partial` skips required-field checks (PATCH)
+  function validateTask(task, partial = false) {
+    const errors = [];
+    const has = (field) => task[field] !== undefined;
+
+    // Ids end up in URLs and HTML attributes, so only word characters and dashes are allowed
+    if (has('id') && (typeof task.id !== 'string' || !TASK_ID_PATTERN.test(task.id))) {
+      errors.push('id must be a string of letters, digits, _ or -');
+    }
+    if (!partial || has('title')) {
+      if (typeof task.title !== 'string' || !task.title.trim()) errors.push('title is required');
+    }
+    ['project', 'assignee'].forEach(field => {
+      if ((!partial || has(field)) && (typeof task[field] !== 'string' || !task[field].trim())) {
+        errors.push(`${field} is required`);
+      }
+    });
+    if (has('status') && (typeof task.status !== 'string' || !task.status)) {
+      errors.push('status is required');
+    }
+    if (has('priority') && !PRIORITIES.includes(task.priority)) {
+      errors.push(`priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (has('effort') && !EFFORTS.includes(task.effort)) {
+      errors.push(`effort must be one of ${EFFORTS.join(', ')}`);
+    }
+    if (has('progress') && (!Number.isInteger(task.progress) || task.progress < 0 || task.progress > 100)) {
+      errors.push('progress must be an integer from 0 to 100');
+    }
+    if (has('deadline') && task.deadline !== null && !isValidDate(task.deadline)) {
+      errors.push('deadline must be null or a YYYY-MM-DD date');
+    }
+    if (has('progressManual') && typeof task.progressManual !== 'boolean') {
+      errors.push('progressManual must be true or false');
+    }
+    if (has('checklist') && (!Array.isArray(task.checklist) || task.checklist.some(item => !item ||
+      typeof item.id !== 'string' || typeof item.text !== 'string' || !item.text.trim() || typeof item.done !== 'boolean'))) {
+      errors.push('checklist must be an array of { id, text, done } items');
+    }
+    if (has('blockedBy') && (!Array.isArray(task.blockedBy) || task.blockedBy.some(id => typeof id !== 'string'))) {
+      errors.push('blockedBy must be an array of task ids');
+    }
+    if (has('recurrence') && task.recurrence !== null) errors.push(...validateRecurrence(task.recurrence));
+    if (has('rank') && task.rank !== null && !Number.isFinite(task.rank)) errors.push('rank must be null or a number');
+    if (has('tags') && (!Array.isArray(task.tags) || task.tags.some(t => typeof t !== 'string'))) {
+      errors.push('tags must be an array of strings');
+    }
+    ['nextAction', 'notes'].forEach(field => {
+      if (has(field) && typeof task[field] !== 'string') errors.push(`${field} must be a string`);
+    });
+    return errors;
+  }
+
+  // The progress shown everywhere: done tasks count as 100%, and a checklist drives progress
+  // (share of items done) unless progressManual says the stored value overrides it
+  function computeProgress(task, settings) {
+    if (isDone(task, settings)) return 100;
+    const checklist = task.checklist || [];
+    if (checklist.length && !task.progressManual) {
+      return Math.round(checklist.filter(item => item.done).length / checklist.length * 100);
+    }
+    return parseInt(task.progress, 10) || 0;
+  }
+
+  // Unfinished tasks that `task` is waiting on; ids of deleted tasks are ignored
+  function openBlockers(task, tasks, settings) {
+    return (task.blockedBy || [])
+      .map(id => tasks.find(t => t.id === id))
+      .filter(blocker => blocker && !isDone(blocker, settings));
+  }
+
+  // Would making `taskId` blocked by `blockedBy` loop back to itself? Returns the loop as task ids
+  // (starting and ending with taskId), or null when the dependencies stay acyclic.
+  function findDependencyCycle(tasks, taskId, blockedBy) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    const seen = new Set();
+    const visit = (id, path) => {
+      if (id === taskId) return [...path, id];
+      if (seen.has(id)) return null;
+      seen.add(id);
+      const task = byId.get(id);
+      for (const next of (task && task.blockedBy) || []) {
+        const cycle = visit(next, [...path, id]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+    for (const id of blockedBy) {
+      const cycle = visit(id, [taskId]);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+
+  // Date-only arithmetic in UTC, so daylight saving never shifts a deadline
+  function addDays(key, days) {
+    const date = new Date(`${key}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  function weekday(key) {
+    return new Date(`${key}T00:00:00Z`).getUTCDay();
+  }
+
+  /**
+   * The first deadline after `fromKey` (YYYY-MM-DD) under a recurrence rule, or null once it passes
+   * `until`. Rules repeat every `interval` days, weeks (on `weekdays`, 0 = Sunday) or months (on `monthDay`);
+   * weekly and monthly rules without days fall on the same weekday / day of month as `fromKey`.
+   */
+  function nextOccurrence(rule, fromKey) {
+    const interval = rule.interval || 1;
+    let next;
+    if (rule.frequency === 'daily') {
+      next = addDays(fromKey, interval);
+    } else if (rule.frequency === 'weekly') {
+      const weekdays = rule.weekdays && rule.weekdays.length ? rule.weekdays : [weekday(fromKey)];
+      const weekStart = addDays(fromKey, -weekday(fromKey));
+      // Only every interval-th week (counted from the week of fromKey) qualifies
+      for (let day = 1; !next; day++) {
+        const key = addDays(fromKey, day);
+        const week = Math.floor((Date.parse(key) - Date.parse(weekStart)) / (7 * 86400000));
+        if (week % interval === 0 && weekdays.includes(weekday(key))) next = key;
+      }
+    } else {
+      const [year, month, day] = fromKey.split('-').map(Number);
+      const onDay = (offset) => {
+        const lastDay = new Date(Date.UTC(year, month + offset, 0)).getUTCDate();
+        return new Date(Date.UTC(year, month - 1 + offset, Math.min(rule.monthDay || day, lastDay))).toISOString().slice(0, 10);
+      };
+      // A deadline before this month's day still falls due this month
+      next = onDay(0) > fromKey ? onDay(0) : onDay(interval);
+    }
+    return rule.until && next > rule.until ? null : next;
+  }
+
+  // A monthly rule without monthDay takes the deadline's day (today's without one). Otherwise a
+  // clamped month-end date (Jan 31 → Feb 28) would become the day for every later month.
+  function anchorRecurrence(rule, deadline) {
+    if (!rule || rule.frequency !== 'monthly' || rule.monthDay !== undefined) return rule;
+    const day = deadline ? Number(deadline.slice(8, 10)) : new Date().getDate();
+    return { ...rule, monthDay: day };
+  }
+
+  // Copy only known task fields from a request body
+  function pickTaskFields(body) {
+    const task = {};
+    TASK_FIELDS.forEach(field => {
+      if (body[field] !== undefined) task[field] = body[field];
+    });
+    return task;
+  }
+
+  // Assignee names @mentioned in `text`, matched case-insensitively. Longer names are tried
+  // first and their matches masked, so "@Ana Lee" doesn't also mention "Ana".
+  function findMentions(text, assignees) {
+    let rest = String(text).toLowerCase();
+    const found = [];
+    [...assignees].sort((a, b) => b.length - a.length).forEach(name => {
+      const needle = `@${name.toLowerCase()}`;
+      let index = rest.indexOf(needle);
+      while (index !== -1) {
+        const end = index + needle.length;
+        if (end === rest.length || !/[\p{L}\p{N}_]/u.test(rest[end])) {
+          if (!found.includes(name)) found.push(name);
+          rest = rest.slice(0, index) + ' '.repeat(needle.length) + rest.slice(end);
+        }
+        index = rest.indexOf(needle, index + 1);
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Work out what importing `incoming` (an exported data.json) into `current` would do.
+   * mode 'merge' adds new tasks and updates existing ones by id (unless the file's copy is older);
+   * mode 'replace' swaps the task list for the file's.
+   * Returns { error } for an unreadable file, otherwise counts, skipped tasks with reasons,
+   * and the resulting document in `data`.
+   */
+  function planImport(current, incoming, mode) {
+    if (!incoming || typeof incoming !== 'object' || !Array.isArray(incoming.tasks)) {
+      return { error: 'File must contain a "tasks" array' };
+    }
+    if (!['merge', 'replace'].includes(mode)) return { error: 'Mode must be "merge" or "replace"' };
+
+    const now = new Date().toISOString();
+    const settings = mode === 'replace' && incoming.settings ? { ...current.settings, ...incoming.settings } : current.settings;
+    if (settings && settings.workflows) {
+      const workflowErrors = validateWorkflows(settings);
+      if (workflowErrors.length) return { error: `Invalid workflows: ${workflowErrors.join('; ')}` };
+    }
+    const existing = new Map(current.tasks.map(t => [t.id, t]));
+    const tasks = mode === 'merge' ? current.tasks.map(t => ({ ...t })) : [];
+    const seen = new Set();
+    const plan = { added: 0, updated: 0, removed: 0, skipped: [], projectsAdded: [], assigneesAdded: [] };
+
+    incoming.tasks.forEach((raw, index) => {
+      const label = raw && raw.title ? raw.title : `Task #${index + 1}`;
+      if (!raw || typeof raw !== 'object') {
+        plan.skipped.push({ title: label, reason: 'not an object' });
+        return;
+      }
+      const task = { ...TASK_DEFAULTS, ...pickTaskFields(raw) };
+      const errors = validateTask(typeof raw.id === 'string' && raw.id ? { ...task, id: raw.id } : task);
+      if (!errors.length) errors.push(...validateStatus(task, settings));
+      if (errors.length) {
+        plan.skipped.push({ title: label, reason: errors.join(', ') });
+        return;
+      }
+      const id = typeof raw.id === 'string' && raw.id ? raw.id : `task-${Date.now()}-${index}`;
+      if (seen.has(id)) {
+        plan.skipped.push({ title: label, reason: `duplicate id ${id}` });
+        return;
+      }
+      seen.add(id);
+
+      task.recurrence = anchorRecurrence(task.recurrence, task.deadline);
+      const imported = { id, ...task, createdAt: raw.createdAt || now, updatedAt: raw.updatedAt || now };
+      const old = existing.get(id);
+      if (!old) {
+        plan.added++;
+        tasks.push(imported);
+      } else if (mode === 'replace') {
+        plan.updated++;
+        tasks.push(imported);
+      } else if (TASK_FIELDS.every(f => JSON.stringify({ ...TASK_DEFAULTS, ...old }[f]) === JSON.stringify(imported[f]))) {
+        plan.skipped.push({ title: label, reason: 'unchanged' });
+      } else if (old.updatedAt && imported.updatedAt < old.updatedAt) {
+        plan.skipped.push({ title: label, reason: 'current copy is newer' });
+      } else {
+        plan.updated++;
+        tasks[tasks.findIndex(t => t.id === id)] = imported;
+      }
+    });
+    if (mode === 'replace') plan.removed = current.tasks.filter(t => !seen.has(t.id)).length;
+
+    // Keep every project/assignee the file lists or its tasks reference
+    const mergeNames = (key, referenced, added) => {
+      const names = mode === 'merge' ? [...current[key]] : [];
+      const wanted = [...(Array.isArray(incoming[key]) ? incoming[key] : []), ...referenced];
+      wanted.forEach(name => {
+        if (typeof name !== 'string' || !name.trim() || names.includes(name)) return;
+        names.push(name);
+        if (!current[key].includes(name)) added.push(name);
+      });
+      return names;
+    };
+    // Projects the same way, matched by name. The file's may be objects or (older exports) names;
+    // merging keeps the current details of a project both have, replacing takes the file's
+    const currentProjects = upgradeProjects(current.projects);
+    const projects = mode === 'merge' ? currentProjects.map(p => ({ ...p })) : [];
+    const listed = (Array.isArray(incoming.projects) ? incoming.projects : [])
+      .map(entry => (typeof entry === 'string' ? { name: entry } : entry)).filter(entry => entry && typeof entry === 'object');
+    [...listed, ...tasks.map(t => ({ name: t.project }))].forEach(entry => {
+      if (typeof entry.name !== 'string' || !entry.name.trim() || projects.some(p => p.name === entry.name)) return;
+      const kept = currentProjects.find(p => p.name === entry.name);
+      const fresh = makeProject({ name: entry.name }, projects);
+      const fromFile = entry.id && { ...fresh, ...entry, id: projects.some(p => p.id === entry.id) ? fresh.id : entry.id };
+      const project = (mode === 'merge' && kept) || fromFile || kept || fresh;
+      if (validateProject(project, projects).length) return;
+      projects.push(project);
+      if (!kept) plan.projectsAdded.push(project.name);
+    });
+    const assignees = mergeNames('assignees', tasks.map(t => t.assignee), plan.assigneesAdded);
+
+    plan.data = {
+      ...current,
+      tasks,
+      projects,
+      assignees,
+      settings
+    };
+    return plan;
+  }
+
+  return {
+    STATUSES,
+    PRIORITIES,
+    EFFORTS,
+    RECURRENCE_FREQUENCIES,
+    TASK_FIELDS,
+    TASK_DEFAULTS,
+    DEFAULT_WORKFLOW,
+    PROJECT_STATUSES,
+    PROJECT_FIELDS,
+    makeProject,
+    upgradeProjects,
+    validateProject,
+    pickProjectFields,
+    renameProject,
+    getWorkflows,
+    workflowFor,
+    initialStatus,
+    isDone,
+    mapStatus,
+    validateWorkflows,
+    validateStatus,
+    migrateStatuses,
+    isValidDate,
+    validateTask,
+    computeProgress,
+    openBlockers,
+    findDependencyCycle,
+    nextOccurrence,
+    anchorRecurrence,
+    pickTaskFields,
+    findMentions,
+    planImport
+  };
+});
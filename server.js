@@ -8,44 +8,1334 @@
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
 const cors = require('cors');
+const {
+  TASK_DEFAULTS, DEFAULT_WORKFLOW, validateTask, computeProgress, findDependencyCycle, pickTaskFields, findMentions, planImport,
+  anchorRecurrence, workflowFor, initialStatus, isDone, validateWorkflows, validateStatus, migrateStatuses,
+  makeProject, upgradeProjects, validateProject, pickProjectFields, renameProject
+} = require('./schema');
+const { tasksToCsv, csvToTasks } = require('./csv');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 const DATA_FILE = path.join(__dirname, 'data.json');
+const ACTIVITY_FILE = path.join(__dirname, 'activity.jsonl');
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, 'users.json');
+// Comma-separated origins allowed to call the API from another site; the app itself is same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
 
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+app.use(express.json({ limit: '5mb' }));
+
+// Data files sit next to the app, so keep them away from the static handler
+const PRIVATE_FILES = ['/data.json', '/users.json', '/activity.jsonl'];
+app.use((req, res, next) => (PRIVATE_FILES.includes(req.path) ? res.status(404).end() : next()));
 app.use(express.static(__dirname));
 
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function sendError(res, error, fallback) {
+  if (error instanceof HttpError) {
+    const body = { error: error.message };
+    if (error.details) body.details = error.details;
+    return res.status(error.status).json(body);
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+async function readData() {
+  const data = await fs.readFile(DATA_FILE, 'utf8');
+  return JSON.parse(data);
+}
+
+// Serialize read-modify-write cycles so concurrent requests can't drop each other's changes.
+// Every write bumps meta.revision, which clients echo back in If-Match when saving settings.
+// When `res` is given, the new revision is sent back as the response ETag and the request's actor
+// is recorded in the activity log, which gets one entry per task field that changed.
+// `mutate(data, emit, log)` can call emit(type, payload) to broadcast an event once the write
+// succeeds, and log(entry) to add activity entries the diff can't infer (e.g. duplicates).
+let writeQueue = Promise.resolve();
+
+function updateData(mutate, res) {
+  const run = writeQueue.then(async () => {
+    const data = await readData();
+    const revision = getRevision(data);
+    const before = new Map(data.tasks.map(t => [t.id, JSON.parse(JSON.stringify(t))]));
+    const trashed = new Set((data.trash || []).map(t => t.id));
+    const events = [];
+    const logged = [];
+    const result = await mutate(data, (type, payload) => events.push({ type, payload }), (entry) => logged.push(entry));
+    const now = new Date().toISOString();
+    data.meta = data.meta || {};
+    data.meta.revision = revision + 1;
+    data.meta.lastSync = now;
+    await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
+
+    const actor = getActor(res && res.req);
+    await appendActivity([
+      ...diffActivity(before, data.tasks, trashed),
+      ...logged
+    ].map(entry => ({ at: now, actor, ...entry })));
+
+    if (res) res.setHeader('ETag', etag(data.meta.revision));
+    events.forEach(({ type, payload }) => broadcast(type, { ...payload, revision: data.meta.revision }));
+    return result;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// Activity log: append-only JSON lines, one per change
+const UNTRACKED_FIELDS = ['id', 'createdAt', 'updatedAt', 'rank']; // rank changes with every Kanban reorder
+
+function getActor(req) {
+  return req && req.user ? req.user.name : 'Unknown';
+}
+
+// Describe every task created, deleted or changed (field by field) between two snapshots.
+// Tasks that reappear from `trashed` (ids in the trash before the write) count as restored.
+function diffActivity(before, tasks, trashed) {
+  const entries = [];
+  const current = new Set(tasks.map(t => t.id));
+  tasks.forEach(task => {
+    const old = before.get(task.id);
+    if (!old) {
+      entries.push({ taskId: task.id, taskTitle: task.title, action: trashed.has(task.id) ? 'restored' : 'created' });
+      return;
+    }
+    Object.keys({ ...old, ...task })
+      .filter(field => !UNTRACKED_FIELDS.includes(field))
+      .filter(field => JSON.stringify(old[field]) !== JSON.stringify(task[field]))
+      .forEach(field => entries.push({
+        taskId: task.id,
+        taskTitle: task.title,
+        action: 'updated',
+        field,
+        from: old[field] === undefined ? null : old[field],
+        to: task[field] === undefined ? null : task[field]
+      }));
+  });
+  before.forEach((old, id) => {
+    if (!current.has(id)) entries.push({ taskId: id, taskTitle: old.title, action: 'deleted' });
+  });
+  return entries;
+}
+
+async function appendActivity(entries) {
+  if (!entries.length) return;
+  await fs.appendFile(ACTIVITY_FILE, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+}
+
+async function readActivity() {
+  try {
+    const text = await fs.readFile(ACTIVITY_FILE, 'utf8');
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Server-Sent Events: every open /api/events response
+const eventClients = new Set();
+
+function broadcast(type, payload) {
+  const message = `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  eventClients.forEach(client => client.write(message));
+}
+
+function getRevision(data) {
+  return (data.meta && data.meta.revision) || 0;
+}
+
+function etag(revision) {
+  return `"${revision}"`;
+}
+
+// Parse an If-Match header into a revision number (`*` matches any revision)
+function parseIfMatch(header) {
+  if (!header) return null;
+  if (header.trim() === '*') return '*';
+  const revision = parseInt(header.replace(/^W\//, '').replace(/"/g, ''), 10);
+  return isNaN(revision) ? NaN : revision;
+}
+
+// Deleted tasks wait in data.trash (with deletedAt) for TRASH_DAYS before they're purged
+const TRASH_DAYS = 30;
+
+function liveTrash(data) {
+  const cutoff = Date.now() - TRASH_DAYS * 24 * 60 * 60 * 1000;
+  return (data.trash || []).filter(t => new Date(t.deletedAt).getTime() > cutoff);
+}
+
+// blockedBy must name existing tasks and must not create a dependency loop
+function checkDependencies(data, taskId, blockedBy) {
+  const unknown = blockedBy.filter(id => !data.tasks.some(t => t.id === id));
+  if (unknown.length) throw new HttpError(400, 'Invalid task', [`blockedBy references unknown tasks: ${unknown.join(', ')}`]);
+  const cycle = findDependencyCycle(data.tasks, taskId, blockedBy);
+  if (cycle) {
+    const titles = cycle.map(id => (data.tasks.find(t => t.id === id) || { title: id }).title);
+    throw new HttpError(400, 'Invalid task', [`dependency cycle: ${titles.join(' → ')}`]);
+  }
+}
+
+function findTask(data, id) {
+  const task = data.tasks.find(t => t.id === id);
+  if (!task) throw new HttpError(404, 'Task not found');
+  return task;
+}
+
+// Task changes shared by the single-task routes and POST /api/tasks/batch. Each one works on
+// the document inside updateData and throws an HttpError when the change isn't allowed.
+function addTask(data, body, emit, log) {
+  const task = { ...TASK_DEFAULTS, status: initialStatus(workflowFor(data.settings, body.project)), ...pickTaskFields(body) };
+  const errors = validateTask(body.id === undefined ? task : { ...task, id: body.id });
+  if (!errors.length) errors.push(...validateStatus(task, data.settings));
+  if (errors.length) throw new HttpError(400, 'Invalid task', errors);
+  // A trashed task keeps its id so it can be restored
+  const taken = (id) => data.tasks.some(t => t.id === id) || liveTrash(data).some(t => t.id === id);
+  const stamp = Date.now();
+  let id = body.id || `task-${stamp}`;
+  // Generated ids get a suffix when a batch creates several in the same millisecond
+  for (let n = 2; !body.id && taken(id); n++) id = `task-${stamp}-${n}`;
+  if (taken(id)) throw new HttpError(409, 'Task id already exists');
+  checkDependencies(data, id, task.blockedBy);
+  task.recurrence = anchorRecurrence(task.recurrence, task.deadline);
+  const now = new Date().toISOString();
+  const newTask = { id, ...task, createdAt: now, updatedAt: now };
+  data.tasks.push(newTask);
+  emit('task.created', { task: newTask });
+
+  // { ...task, duplicateOf: sourceId } when copying a task
+  const source = body.duplicateOf && data.tasks.find(t => t.id === body.duplicateOf);
+  if (source) {
+    log({ taskId: id, taskTitle: newTask.title, action: 'duplicated', from: source.id, to: id });
+    log({ taskId: source.id, taskTitle: source.title, action: 'duplicated', from: source.id, to: id });
+  }
+  return newTask;
+}
+
+function changeTask(data, id, body, emit) {
+  const changes = pickTaskFields(body || {});
+  if (!Object.keys(changes).length) throw new HttpError(400, 'No task fields to update');
+  const errors = validateTask(changes, true);
+  if (errors.length) throw new HttpError(400, 'Invalid task', errors);
+  const task = findTask(data, id);
+  // A new project may use another workflow, so the status is checked against the combined task
+  if (changes.status !== undefined || changes.project !== undefined) {
+    const statusErrors = validateStatus({ ...task, ...changes }, data.settings);
+    if (statusErrors.length) throw new HttpError(400, 'Invalid task', statusErrors);
+  }
+  if (changes.blockedBy) checkDependencies(data, task.id, changes.blockedBy);
+  if (changes.recurrence) {
+    changes.recurrence = anchorRecurrence(changes.recurrence, changes.deadline !== undefined ? changes.deadline : task.deadline);
+  }
+  Object.assign(task, changes, { updatedAt: new Date().toISOString() });
+  emit('task.updated', { task });
+  return task;
+}
+
+function moveToTrash(data, id, emit) {
+  const task = findTask(data, id);
+  data.tasks = data.tasks.filter(t => t.id !== id);
+  data.trash = [...liveTrash(data).filter(t => t.id !== task.id), { ...task, deletedAt: new Date().toISOString() }];
+  emit('task.deleted', { id });
+}
+
+function restoreFromTrash(data, id, emit) {
+  const trash = liveTrash(data);
+  const trashed = trash.find(t => t.id === id);
+  if (!trashed) throw new HttpError(404, 'Task not found in trash');
+  if (data.tasks.some(t => t.id === trashed.id)) throw new HttpError(409, 'Task id already exists');
+  const { deletedAt, ...task } = trashed;
+  task.updatedAt = new Date().toISOString();
+  data.tasks.push(task);
+  data.trash = trash.filter(t => t !== trashed);
+  emit('task.created', { task });
+  return task;
+}
+
+// Accounts: users.json holds { users: [{ id, username, name, role, assignee, passwordHash, feedToken }] }.
+// `assignee` links the account to a name in data.assignees. Sessions live in memory, so a restart signs everyone out.
+const ROLES = ['admin', 'member'];
+const SESSION_COOKIE = 'mc_session';
+const SESSION_DAYS = 30;
+const sessions = new Map(); // token -> { userId, expires }
+const scrypt = promisify(crypto.scrypt);
+
+async function readUsers() {
+  try {
+    return JSON.parse(await fs.readFile(USERS_FILE, 'utf8')).users;
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+let usersQueue = Promise.resolve();
+
+function updateUsers(mutate) {
+  const run = usersQueue.then(async () => {
+    const users = await readUsers();
+    const result = await mutate(users);
+    await fs.writeFile(USERS_FILE, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+    return result;
+  });
+  usersQueue = run.catch(() => {});
+  return run;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt, 64);
+  return `scrypt:${salt}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const key = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === key.length && crypto.timingSafeEqual(key, expected);
+}
+
+// What other users may see; the signed-in user also gets their own feedToken
+function publicUser(user) {
+  const { passwordHash, feedToken, ...rest } = user;
+  return rest;
+}
+
+// Returns a list of validation errors for a new user or (with `partial`) a PATCH body
+function validateUser(body, users, assignees, partial = false) {
+  const errors = [];
+  const has = (field) => body[field] !== undefined;
+  if (!partial || has('username')) {
+    if (typeof body.username !== 'string' || !/^[a-z0-9._-]{2,32}$/i.test(body.username)) {
+      errors.push('username must be 2-32 letters, numbers, dots, dashes or underscores');
+    } else if (users.some(u => u.username.toLowerCase() === body.username.toLowerCase())) {
+      errors.push('username is already taken');
+    }
+  }
+  if ((!partial || has('name')) && (typeof body.name !== 'string' || !body.name.trim())) errors.push('name is required');
+  if ((!partial || has('password')) && (typeof body.password !== 'string' || body.password.length < 8)) {
+    errors.push('password must be at least 8 characters');
+  }
+  if (has('role') && !ROLES.includes(body.role)) errors.push(`role must be one of ${ROLES.join(', ')}`);
+  if (has('assignee') && body.assignee !== null && !assignees.includes(body.assignee)) {
+    errors.push('assignee must be null or one of the assignees');
+  }
+  return errors;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+  });
+  return cookies;
+}
+
+function setSessionCookie(req, res, token, maxAge) {
+  const parts = [`${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAge}`];
+  if (req.secure) parts.push('Secure');
+  res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function startSession(req, res, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { userId: user.id, expires: Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000 });
+  setSessionCookie(req, res, token, SESSION_DAYS * 24 * 60 * 60);
+}
+
+async function sessionUser(req) {
+  const token = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  const session = token && sessions.get(token);
+  if (!session) return null;
+  if (session.expires < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  const users = await readUsers();
+  return users.find(u => u.id === session.userId) || null;
+}
+
+// Every /api route below needs a signed-in user. The calendar feed also accepts
+// ?token=<feedToken>, since calendar apps can't sign in.
+async function authenticate(req, res, next) {
+  try {
+    req.user = await sessionUser(req);
+    if (!req.user && req.path === '/calendar.ics' && req.query.token) {
+      const users = await readUsers();
+      req.user = users.find(u => u.feedToken === req.query.token) || null;
+    }
+    if (!req.user) throw new HttpError(401, 'Sign in required');
+    next();
+  } catch (error) {
+    sendError(res, error, 'Authentication failed');
+  }
+}
+
+// Members can edit tasks; managing projects, assignees, users and imports is for admins
+function requireAdmin(req, res, next) {
+  if (req.user.role === 'admin') return next();
+  sendError(res, new HttpError(403, 'Only admins can do that'));
+}
+
+// GET /api/auth/session - The signed-in user, or { user: null, setupRequired } for the login page
+app.get('/api/auth/session', async (req, res) => {
+  try {
+    const user = await sessionUser(req);
+    if (user) return res.json({ user: { ...publicUser(user), feedToken: user.feedToken } });
+    const users = await readUsers();
+    res.json({ user: null, setupRequired: users.length === 0 });
+  } catch (error) {
+    sendError(res, error, 'Failed to load session');
+  }
+});
+
+// POST /api/auth/setup - Create the first admin account; only allowed while there are no users
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const user = await updateUsers(async (users) => {
+      if (users.length) throw new HttpError(409, 'Setup is already complete');
+      const data = await readData();
+      const errors = validateUser(body, users, data.assignees);
+      if (errors.length) throw new HttpError(400, 'Invalid user', errors);
+      const created = {
+        id: `user-${Date.now()}`,
+        username: body.username,
+        name: body.name.trim(),
+        role: 'admin',
+        assignee: data.assignees.includes(body.name.trim()) ? body.name.trim() : null,
+        passwordHash: await hashPassword(body.password),
+        feedToken: crypto.randomBytes(24).toString('hex')
+      };
+      users.push(created);
+      return created;
+    });
+    startSession(req, res, user);
+    res.status(201).json({ user: publicUser(user) });
+  } catch (error) {
+    sendError(res, error, 'Setup failed');
+  }
+});
+
+// POST /api/auth/login - Body is { username, password }
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const users = await readUsers();
+    const user = users.find(u => typeof username === 'string' && u.username.toLowerCase() === username.toLowerCase());
+    if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+      throw new HttpError(401, 'Wrong username or password');
+    }
+    startSession(req, res, user);
+    res.json({ user: publicUser(user) });
+  } catch (error) {
+    sendError(res, error, 'Login failed');
+  }
+});
+
+// POST /api/auth/logout
+app.post('/api/auth/logout', (req, res) => {
+  sessions.delete(parseCookies(req.get('Cookie'))[SESSION_COOKIE]);
+  setSessionCookie(req, res, '', 0);
+  res.status(204).end();
+});
+
+app.use('/api', authenticate);
+
+// GET /api/users - List accounts (admins only)
+app.get('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const users = await readUsers();
+    res.json(users.map(publicUser));
+  } catch (error) {
+    sendError(res, error, 'Failed to load users');
+  }
+});
+
+// POST /api/users - Create an account; body is { username, name, password, role, assignee }
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const body = { role: 'member', assignee: null, ...req.body };
+    const user = await updateUsers(async (users) => {
+      // Read inside the users queue so an assignee can't be removed while it's being linked
+      const data = await readData();
+      const errors = validateUser(body, users, data.assignees);
+      if (errors.length) throw new HttpError(400, 'Invalid user', errors);
+      const created = {
+        id: `user-${Date.now()}`,
+        username: body.username,
+        name: body.name.trim(),
+        role: body.role,
+        assignee: body.assignee,
+        passwordHash: await hashPassword(body.password),
+        feedToken: crypto.randomBytes(24).toString('hex')
+      };
+      users.push(created);
+      return created;
+    });
+    res.status(201).json(publicUser(user));
+  } catch (error) {
+    sendError(res, error, 'Failed to create user');
+  }
+});
+
+// PATCH /api/users/:id - Change name, role, linked assignee or password
+app.patch('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const changes = {};
+    ['name', 'role', 'assignee', 'password'].forEach(field => {
+      if (req.body && req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+    if (!Object.keys(changes).length) throw new HttpError(400, 'No user fields to update');
+    const user = await updateUsers(async (users) => {
+      const user = users.find(u => u.id === req.params.id);
+      if (!user) throw new HttpError(404, 'User not found');
+      const data = await readData();
+      const errors = validateUser(changes, users, data.assignees, true);
+      if (errors.length) throw new HttpError(400, 'Invalid user', errors);
+      if (changes.role === 'member' && !users.some(u => u.id !== user.id && u.role === 'admin')) {
+        throw new HttpError(409, 'At least one admin is required');
+      }
+      if (changes.password) user.passwordHash = await hashPassword(changes.password);
+      if (changes.name) user.name = changes.name.trim();
+      if (changes.role) user.role = changes.role;
+      if (changes.assignee !== undefined) user.assignee = changes.assignee;
+      return user;
+    });
+    res.json(publicUser(user));
+  } catch (error) {
+    sendError(res, error, 'Failed to update user');
+  }
+});
+
+// DELETE /api/users/:id - Remove an account and end its sessions
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) throw new HttpError(409, 'You cannot delete your own account');
+    await updateUsers((users) => {
+      const index = users.findIndex(u => u.id === req.params.id);
+      if (index === -1) throw new HttpError(404, 'User not found');
+      users.splice(index, 1);
+    });
+    sessions.forEach((session, token) => {
+      if (session.userId === req.params.id) sessions.delete(token);
+    });
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete user');
+  }
+});
+
 // GET /api/data - Load tasks
 app.get('/api/data', async (req, res) => {
   try {
-    const data = await fs.readFile(DATA_FILE, 'utf8');
-    res.json(JSON.parse(data));
+    const data = await readData();
+    // Each account only sees the notifications addressed to its linked assignee
+    data.notifications = (data.notifications || []).filter(n => req.user.assignee && n.assignee === req.user.assignee);
+    res.setHeader('ETag', etag(getRevision(data)));
+    res.json(data);
   } catch (error) {
     console.error('Error reading data:', error);
     res.status(500).json({ error: 'Failed to load data' });
   }
 });
 
-// POST /api/data - Save tasks
+// POST /api/data - Save the shared settings ({ settings } body)
+// Requires If-Match with the revision the client last loaded; a stale revision gets 409.
+// Tasks, projects and assignees only change through their own routes (whole documents through
+// POST /api/import), and workflows only through PUT /api/workflows.
 app.post('/api/data', async (req, res) => {
   try {
-    const data = req.body;
-    data.meta.lastSync = new Date().toISOString();
-    await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
-    res.json({ success: true, lastSync: data.meta.lastSync });
+    const { settings } = req.body || {};
+    const expected = parseIfMatch(req.get('If-Match'));
+    if (expected === null) throw new HttpError(428, 'If-Match header with the data revision is required');
+    if (Number.isNaN(expected)) throw new HttpError(400, 'Invalid If-Match header');
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new HttpError(400, 'Invalid data: settings object is required');
+    }
+
+    const saved = await updateData((current, emit) => {
+      const revision = getRevision(current);
+      if (expected !== '*' && expected !== revision) {
+        throw new HttpError(409, 'Data was changed by someone else', [`current revision is ${revision}`]);
+      }
+      const { workflows, projectWorkflows } = current.settings || {};
+      current.settings = { ...settings, workflows, projectWorkflows };
+      emit('data.replaced', {});
+      return current;
+    }, res);
+    res.json({ success: true, lastSync: saved.meta.lastSync, revision: saved.meta.revision });
+  } catch (error) {
+    sendError(res, error, 'Failed to save data');
+  }
+});
+
+// GET /api/events - Live change stream (task.created, task.updated, task.deleted,
+// projects.updated, assignees.updated, workflows.updated, data.replaced, comment.created,
+// comment.updated, comment.deleted, notifications.updated), each carrying the new revision
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  eventClients.add(res);
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventClients.delete(res);
+  });
+});
+
+// GET /api/tasks - List tasks
+app.get('/api/tasks', async (req, res) => {
+  try {
+    const data = await readData();
+    res.json(data.tasks);
+  } catch (error) {
+    sendError(res, error, 'Failed to load tasks');
+  }
+});
+
+// POST /api/tasks - Create a task (POST { ...task, duplicateOf: sourceId } when copying one)
+app.post('/api/tasks', async (req, res) => {
+  try {
+    const created = await updateData((data, emit, log) => addTask(data, req.body || {}, emit, log), res);
+    res.status(201).json(created);
+  } catch (error) {
+    sendError(res, error, 'Failed to create task');
+  }
+});
+
+// POST /api/tasks/batch - Several task changes saved as one write (one revision, all or nothing).
+// Body is { operations: [...] } where each is { op: 'create', task }, { op: 'update', id, changes },
+// { op: 'delete', id } or { op: 'restore', id }. Returns { tasks, deleted } with the tasks as saved.
+const MAX_BATCH = 500;
+
+app.post('/api/tasks/batch', async (req, res) => {
+  try {
+    const operations = req.body && req.body.operations;
+    if (!Array.isArray(operations) || !operations.length) throw new HttpError(400, 'operations must be a non-empty array');
+    if (operations.length > MAX_BATCH) throw new HttpError(400, `At most ${MAX_BATCH} operations per batch`);
+
+    const result = await updateData((data, emit, log) => {
+      const saved = new Map();
+      const deleted = new Set();
+      operations.forEach((operation, index) => {
+        try {
+          const { op, id } = operation || {};
+          if (op === 'create') {
+            const task = addTask(data, operation.task || {}, emit, log);
+            saved.set(task.id, task);
+          } else if (op === 'update') {
+            saved.set(id, changeTask(data, id, operation.changes, emit));
+          } else if (op === 'delete') {
+            moveToTrash(data, id, emit);
+            saved.delete(id);
+            deleted.add(id);
+          } else if (op === 'restore') {
+            saved.set(id, restoreFromTrash(data, id, emit));
+            deleted.delete(id);
+          } else {
+            throw new HttpError(400, 'op must be create, update, delete or restore');
+          }
+        } catch (error) {
+          if (error instanceof HttpError) throw new HttpError(error.status, `Operation ${index + 1}: ${error.message}`, error.details);
+          throw error;
+        }
+      });
+      return { tasks: [...saved.values()], deleted: [...deleted] };
+    }, res);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to apply batch');
+  }
+});
+
+// GET /api/tasks/:id - Load one task
+app.get('/api/tasks/:id', async (req, res) => {
+  try {
+    const data = await readData();
+    res.json(findTask(data, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load task');
+  }
+});
+
+// GET /api/tasks/:id/history - Activity log entries for one task, oldest first
+app.get('/api/tasks/:id/history', async (req, res) => {
+  try {
+    const entries = await readActivity();
+    res.json(entries.filter(entry => entry.taskId === req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load history');
+  }
+});
+
+// PATCH /api/tasks/:id - Update only the given fields
+app.patch('/api/tasks/:id', async (req, res) => {
+  try {
+    const updated = await updateData((data, emit) => changeTask(data, req.params.id, req.body, emit), res);
+    res.json(updated);
+  } catch (error) {
+    sendError(res, error, 'Failed to update task');
+  }
+});
+
+// DELETE /api/tasks/:id - Move a task to the trash
+app.delete('/api/tasks/:id', async (req, res) => {
+  try {
+    await updateData((data, emit) => moveToTrash(data, req.params.id, emit), res);
+    res.status(204).end();
   } catch (error) {
-    console.error('Error writing data:', error);
-    res.status(500).json({ error: 'Failed to save data' });
+    sendError(res, error, 'Failed to delete task');
   }
 });
 
-// Export backup
+// GET /api/trash - Deleted tasks from the last TRASH_DAYS days, newest first
+app.get('/api/trash', async (req, res) => {
+  try {
+    const data = await readData();
+    res.json(liveTrash(data).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+  } catch (error) {
+    sendError(res, error, 'Failed to load trash');
+  }
+});
+
+// POST /api/trash/:id/restore - Put a deleted task back on the board
+// (the app sends its copy of the task as the body so queued restores can be replayed offline; it's ignored here)
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    const restored = await updateData((data, emit) => restoreFromTrash(data, req.params.id, emit), res);
+    res.json(restored);
+  } catch (error) {
+    sendError(res, error, 'Failed to restore task');
+  }
+});
+
+// DELETE /api/trash/:id - Purge one deleted task for good
+app.delete('/api/trash/:id', async (req, res) => {
+  try {
+    await updateData((data, emit, log) => {
+      const trash = liveTrash(data);
+      const trashed = trash.find(t => t.id === req.params.id);
+      if (!trashed) throw new HttpError(404, 'Task not found in trash');
+      data.trash = trash.filter(t => t !== trashed);
+      dropTaskThreads(data, [trashed.id]);
+      log({ taskId: trashed.id, taskTitle: trashed.title, action: 'purged' });
+    }, res);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to purge task');
+  }
+});
+
+// DELETE /api/trash - Empty the trash
+app.delete('/api/trash', async (req, res) => {
+  try {
+    await updateData((data, emit, log) => {
+      (data.trash || []).forEach(t => log({ taskId: t.id, taskTitle: t.title, action: 'purged' }));
+      dropTaskThreads(data, (data.trash || []).map(t => t.id));
+      data.trash = [];
+    }, res);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to empty trash');
+  }
+});
+
+// Comments: data.comments holds { id, taskId, parentId, authorId, author, body, mentions, createdAt, updatedAt }.
+// Replies point at a top-level comment through parentId. Mentioning an assignee (@Name) adds an
+// entry to data.notifications for whichever account is linked to that assignee.
+function validateCommentBody(body) {
+  if (typeof body !== 'string' || !body.trim()) return ['body is required'];
+  if (body.length > 10000) return ['body must be at most 10000 characters'];
+  return [];
+}
+
+function findComment(data, req) {
+  const comment = (data.comments || []).find(c => c.id === req.params.commentId && c.taskId === req.params.id);
+  if (!comment || comment.deleted) throw new HttpError(404, 'Comment not found');
+  if (comment.authorId !== req.user.id) throw new HttpError(403, 'You can only change your own comments');
+  return comment;
+}
+
+// Notify each of `mentions` about `comment`, except the author's own assignee
+function notifyMentions(data, task, comment, mentions, user, emit) {
+  const assignees = mentions.filter(name => name !== user.assignee);
+  if (!assignees.length) return;
+  data.notifications = data.notifications || [];
+  assignees.forEach((assignee, index) => data.notifications.push({
+    id: `notification-${Date.now()}-${index}-${crypto.randomBytes(3).toString('hex')}`,
+    assignee,
+    taskId: task.id,
+    taskTitle: task.title,
+    commentId: comment.id,
+    author: user.name,
+    excerpt: comment.body.slice(0, 140),
+    createdAt: comment.updatedAt,
+    read: false
+  }));
+  emit('notifications.updated', { assignees });
+}
+
+// Drop comments and notifications for tasks that are gone for good
+function dropTaskThreads(data, taskIds) {
+  if (data.comments) data.comments = data.comments.filter(c => !taskIds.includes(c.taskId));
+  if (data.notifications) data.notifications = data.notifications.filter(n => !taskIds.includes(n.taskId));
+}
+
+// GET /api/tasks/:id/comments - Comments on a task, oldest first
+app.get('/api/tasks/:id/comments', async (req, res) => {
+  try {
+    const data = await readData();
+    findTask(data, req.params.id);
+    res.json((data.comments || []).filter(c => c.taskId === req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load comments');
+  }
+});
+
+// POST /api/tasks/:id/comments - Add a comment; body is { body, parentId } (parentId to reply)
+app.post('/api/tasks/:id/comments', async (req, res) => {
+  try {
+    const { body, parentId } = req.body || {};
+    const errors = validateCommentBody(body);
+    if (errors.length) throw new HttpError(400, 'Invalid comment', errors);
+
+    const comment = await updateData((data, emit) => {
+      const task = findTask(data, req.params.id);
+      data.comments = data.comments || [];
+      let threadId = null;
+      if (parentId) {
+        const parent = data.comments.find(c => c.id === parentId && c.taskId === task.id);
+        if (!parent) throw new HttpError(400, 'Invalid comment', ['parentId must be a comment on this task']);
+        threadId = parent.parentId || parent.id; // Replies to replies join the same thread
+      }
+      const now = new Date().toISOString();
+      const created = {
+        id: `comment-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        taskId: task.id,
+        parentId: threadId,
+        authorId: req.user.id,
+        author: req.user.name,
+        body: body.trim(),
+        mentions: findMentions(body, data.assignees),
+        createdAt: now,
+        updatedAt: now
+      };
+      data.comments.push(created);
+      emit('comment.created', { comment: created });
+      notifyMentions(data, task, created, created.mentions, req.user, emit);
+      return created;
+    }, res);
+    res.status(201).json(comment);
+  } catch (error) {
+    sendError(res, error, 'Failed to add comment');
+  }
+});
+
+// PATCH /api/tasks/:id/comments/:commentId - Edit your own comment; body is { body }
+app.patch('/api/tasks/:id/comments/:commentId', async (req, res) => {
+  try {
+    const { body } = req.body || {};
+    const errors = validateCommentBody(body);
+    if (errors.length) throw new HttpError(400, 'Invalid comment', errors);
+
+    const comment = await updateData((data, emit) => {
+      const task = findTask(data, req.params.id);
+      const comment = findComment(data, req);
+      const mentions = findMentions(body, data.assignees);
+      const added = mentions.filter(name => !comment.mentions.includes(name));
+      Object.assign(comment, { body: body.trim(), mentions, updatedAt: new Date().toISOString() });
+      emit('comment.updated', { comment });
+      notifyMentions(data, task, comment, added, req.user, emit);
+      return comment;
+    }, res);
+    res.json(comment);
+  } catch (error) {
+    sendError(res, error, 'Failed to update comment');
+  }
+});
+
+// DELETE /api/tasks/:id/comments/:commentId - Delete your own comment. A comment with replies
+// is blanked out and marked deleted so the thread stays readable.
+app.delete('/api/tasks/:id/comments/:commentId', async (req, res) => {
+  try {
+    await updateData((data, emit) => {
+      const comment = findComment(data, req);
+      if (data.comments.some(c => c.parentId === comment.id)) {
+        Object.assign(comment, { body: '', mentions: [], deleted: true, updatedAt: new Date().toISOString() });
+        emit('comment.updated', { comment });
+      } else {
+        data.comments = data.comments.filter(c => c !== comment);
+        emit('comment.deleted', { id: comment.id, taskId: comment.taskId });
+      }
+      if (data.notifications) data.notifications = data.notifications.filter(n => n.commentId !== comment.id);
+    }, res);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete comment');
+  }
+});
+
+// GET /api/notifications - The signed-in user's notifications (for their linked assignee),
+// newest first, with the number still unread
+app.get('/api/notifications', async (req, res) => {
+  try {
+    const data = await readData();
+    const mine = (data.notifications || []).filter(n => req.user.assignee && n.assignee === req.user.assignee);
+    res.json({
+      unread: mine.filter(n => !n.read).length,
+      notifications: mine.slice(-50).reverse()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load notifications');
+  }
+});
+
+// POST /api/notifications/read - Mark notifications read; body is { ids }, or {} for all of them
+app.post('/api/notifications/read', async (req, res) => {
+  try {
+    const ids = req.body && Array.isArray(req.body.ids) ? req.body.ids : null;
+    const unread = await updateData((data, emit) => {
+      const mine = (data.notifications || []).filter(n => req.user.assignee && n.assignee === req.user.assignee);
+      mine.forEach(n => {
+        if (!ids || ids.includes(n.id)) n.read = true;
+      });
+      if (req.user.assignee) emit('notifications.updated', { assignees: [req.user.assignee] });
+      return mine.filter(n => !n.read).length;
+    }, res);
+    res.json({ unread });
+  } catch (error) {
+    sendError(res, error, 'Failed to update notifications');
+  }
+});
+
+// GET /api/assignees - List assignee names
+app.get('/api/assignees', async (req, res) => {
+  try {
+    const data = await readData();
+    res.json(data.assignees);
+  } catch (error) {
+    sendError(res, error, 'Failed to load assignees');
+  }
+});
+
+// POST /api/assignees - Add an assignee; body is { name }
+app.post('/api/assignees', requireAdmin, async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) throw new HttpError(400, 'Assignee name is required');
+
+    const assignees = await updateData((data, emit) => {
+      if (data.assignees.includes(name)) throw new HttpError(409, 'Assignee already exists');
+      data.assignees.push(name);
+      emit('assignees.updated', { assignees: data.assignees });
+      return data.assignees;
+    }, res);
+    res.status(201).json(assignees);
+  } catch (error) {
+    sendError(res, error, 'Failed to add assignee');
+  }
+});
+
+// DELETE /api/assignees/:name - Remove an assignee nobody refers to. Tasks (trashed ones
+// included) and linked accounts must be reassigned first; their notifications go with it.
+app.delete('/api/assignees/:name', requireAdmin, async (req, res) => {
+  try {
+    const name = req.params.name;
+    // Inside the users queue, so no account can be linked to the name between the check and the write
+    const assignees = await updateUsers(users => updateData((data, emit) => {
+      const accounts = users.filter(user => user.assignee === name);
+      if (!data.assignees.includes(name)) throw new HttpError(404, 'Assignee not found');
+      const tasks = [...data.tasks, ...liveTrash(data)].filter(t => t.assignee === name);
+      if (tasks.length || accounts.length) {
+        const uses = [
+          tasks.length ? `${tasks.length} task${tasks.length === 1 ? '' : 's'}` : '',
+          accounts.length ? `${accounts.length} account${accounts.length === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(' and ');
+        const verb = tasks.length + accounts.length === 1 ? 'uses' : 'use';
+        throw new HttpError(409, `${uses} still ${verb} ${name}; reassign them first`,
+          [...tasks.map(t => t.title), ...accounts.map(user => `account: ${user.username}`)]);
+      }
+      data.assignees = data.assignees.filter(a => a !== name);
+      if (data.notifications) data.notifications = data.notifications.filter(n => n.assignee !== name);
+      emit('assignees.updated', { assignees: data.assignees });
+      return data.assignees;
+    }, res));
+    res.json(assignees);
+  } catch (error) {
+    sendError(res, error, 'Failed to remove assignee');
+  }
+});
+
+function findProject(data, id) {
+  const project = data.projects.find(p => p.id === id);
+  if (!project) throw new HttpError(404, 'Project not found');
+  return project;
+}
+
+// GET /api/projects - List projects, archived ones included
+app.get('/api/projects', async (req, res) => {
+  try {
+    const data = await readData();
+    res.json(data.projects);
+  } catch (error) {
+    sendError(res, error, 'Failed to load projects');
+  }
+});
+
+// POST /api/projects - Create a project; body has the project fields, only name is required
+app.post('/api/projects', requireAdmin, async (req, res) => {
+  try {
+    const project = await updateData((data, emit) => {
+      const created = makeProject({ name: '', ...pickProjectFields(req.body || {}) }, data.projects);
+      const errors = validateProject(created, data.projects);
+      if (errors.length) throw new HttpError(400, 'Invalid project', errors);
+      data.projects.push(created);
+      emit('projects.updated', { projects: data.projects });
+      return created;
+    }, res);
+    res.status(201).json(project);
+  } catch (error) {
+    sendError(res, error, 'Failed to add project');
+  }
+});
+
+// PATCH /api/projects/:id - Update a project (archive with { status: 'archived' }). A new name is
+// carried over to its tasks, saved views and workflow assignment. Returns { project, tasks } with
+// the tasks that were renamed.
+app.patch('/api/projects/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await updateData((data, emit) => {
+      const project = findProject(data, req.params.id);
+      const updated = { ...project, ...pickProjectFields(req.body || {}) };
+      const errors = validateProject(updated, data.projects);
+      if (errors.length) throw new HttpError(400, 'Invalid project', errors);
+      const renamed = updated.name !== project.name ? { from: project.name, to: updated.name } : null;
+      const tasks = renamed ? renameProject(data, renamed.from, renamed.to) : [];
+      const now = new Date().toISOString();
+      tasks.forEach(task => {
+        task.updatedAt = now;
+        emit('task.updated', { task });
+      });
+      Object.assign(project, updated);
+      emit('projects.updated', { projects: data.projects, renamed });
+      return { project, tasks };
+    }, res);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to update project');
+  }
+});
+
+// DELETE /api/projects/:id - Delete a project no task uses (trashed ones included); archive the rest
+app.delete('/api/projects/:id', requireAdmin, async (req, res) => {
+  try {
+    const projects = await updateData((data, emit) => {
+      const project = findProject(data, req.params.id);
+      const using = [...data.tasks, ...(data.trash || [])].filter(t => t.project === project.name);
+      if (using.length) {
+        throw new HttpError(409, `${using.length === 1 ? '1 task still uses' : `${using.length} tasks still use`} ${project.name}; archive it instead`,
+          using.slice(0, 10).map(t => t.title));
+      }
+      data.projects = data.projects.filter(p => p !== project);
+      if (data.settings && data.settings.projectWorkflows) delete data.settings.projectWorkflows[project.name];
+      emit('projects.updated', { projects: data.projects });
+      return data.projects;
+    }, res);
+    res.json(projects);
+  } catch (error) {
+    sendError(res, error, 'Failed to remove project');
+  }
+});
+
+// Completion over time for a project overview: [{ date, total, done }] from its start date (or first
+// task) to today, at most about 26 points. Statuses are replayed from the activity log, so tasks
+// count as done from the day they were finished.
+function projectProgress(data, activity, project) {
+  const tasks = data.tasks.filter(t => t.project === project.name);
+  const ids = new Set(tasks.map(t => t.id));
+  const changes = new Map();
+  activity.filter(entry => entry.field === 'status' && ids.has(entry.taskId)).forEach(entry => {
+    if (!changes.has(entry.taskId)) changes.set(entry.taskId, []);
+    changes.get(entry.taskId).push(entry);
+  });
+  const statusAt = (task, end) => {
+    const entries = changes.get(task.id);
+    if (!entries) return task.status;
+    return entries.reduce((status, entry) => (entry.at <= end ? entry.to : status), entries[0].from);
+  };
+
+  const today = new Date().toISOString().slice(0, 10);
+  const first = [project.startDate, ...tasks.map(t => (t.createdAt || '').slice(0, 10))].filter(Boolean).sort()[0] || today;
+  const days = Math.max(0, Math.round((new Date(`${today}T00:00:00Z`) - new Date(`${first < today ? first : today}T00:00:00Z`)) / 86400000));
+  const step = Math.max(7, Math.ceil(days / 26));
+  const dates = [];
+  for (let offset = 0; offset < days; offset += step) {
+    const date = new Date(`${first}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + offset);
+    dates.push(date.toISOString().slice(0, 10));
+  }
+  dates.push(today);
+
+  return dates.map(date => {
+    const end = `${date}T23:59:59.999Z`;
+    const existing = tasks.filter(t => !t.createdAt || t.createdAt <= end);
+    const done = existing.filter(t => isDone({ ...t, status: statusAt(t, end) }, data.settings)).length;
+    return { date, total: existing.length, done };
+  });
+}
+
+// GET /api/projects/:id/progress - { points: [{ date, total, done }] } for the overview chart
+app.get('/api/projects/:id/progress', async (req, res) => {
+  try {
+    const data = await readData();
+    const project = findProject(data, req.params.id);
+    res.json({ points: projectProgress(data, await readActivity(), project) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load project progress');
+  }
+});
+
+// Replace the workflows and their project assignments, then move tasks whose status the new
+// definition no longer has onto the nearest one (see mapStatus in schema.js)
+function applyWorkflows(data, { workflows, projectWorkflows }, emit) {
+  const previous = data.settings || {};
+  const settings = { ...previous, workflows, projectWorkflows: projectWorkflows || {} };
+  const errors = validateWorkflows(settings);
+  if (errors.length) throw new HttpError(400, 'Invalid workflows', errors);
+  data.settings = settings;
+  const now = new Date().toISOString();
+  const migrated = migrateStatuses(data.tasks, settings, previous);
+  migrated.forEach(task => {
+    task.updatedAt = now;
+    emit('task.updated', { task });
+  });
+  emit('workflows.updated', { workflows: settings.workflows, projectWorkflows: settings.projectWorkflows });
+  return migrated;
+}
+
+// PUT /api/workflows - Save the workflow definitions; body is { workflows, projectWorkflows }.
+// Returns them with the tasks whose status was migrated.
+app.put('/api/workflows', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await updateData((data, emit) => {
+      const tasks = applyWorkflows(data, body, emit);
+      return { workflows: data.settings.workflows, projectWorkflows: data.settings.projectWorkflows, tasks };
+    }, res);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to save workflows');
+  }
+});
+
+// POST /api/import - Import an exported document; body is { mode: 'merge' | 'replace', data }
+app.post('/api/import', requireAdmin, async (req, res) => {
+  try {
+    const { mode, data } = req.body || {};
+    const summary = await updateData((current, emit) => {
+      const plan = planImport(current, data, mode);
+      if (plan.error) throw new HttpError(400, plan.error);
+      Object.assign(current, plan.data);
+      emit('data.replaced', {});
+      delete plan.data;
+      return plan;
+    }, res);
+    res.json(summary);
+  } catch (error) {
+    sendError(res, error, 'Import failed');
+  }
+});
+
+// POST /api/import/csv - Create tasks from a spreadsheet (text/csv body). Rows whose id matches
+// an existing task update the columns that changed; missing projects and assignees are created.
+app.post('/api/import/csv', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) throw new HttpError(400, 'CSV body is required');
+
+    const summary = await updateData((data, emit, log) => {
+      // Parsed here so statuses are read against the current workflows
+      const { creates, updates, errors } = csvToTasks(req.body, data.settings, data.tasks);
+      const result = { added: 0, updated: 0, failed: errors, projectsAdded: [], assigneesAdded: [] };
+      const addNames = fields => {
+        if (fields.project !== undefined && !data.projects.some(p => p.name === fields.project)) {
+          data.projects.push(makeProject({ name: fields.project }, data.projects));
+          result.projectsAdded.push(fields.project);
+        }
+        if (fields.assignee !== undefined && !data.assignees.includes(fields.assignee)) {
+          data.assignees.push(fields.assignee);
+          result.assigneesAdded.push(fields.assignee);
+        }
+      };
+
+      // Rows get the same checks as POST and PATCH /api/tasks; a rejected row is reported, not fatal
+      const apply = (row, change) => {
+        try {
+          change();
+          return true;
+        } catch (error) {
+          if (!(error instanceof HttpError)) throw error;
+          result.failed.push({ row, errors: error.details || [error.message] });
+          return false;
+        }
+      };
+      updates.forEach(({ row, id, changes }) => {
+        if (!Object.keys(changes).length || !apply(row, () => changeTask(data, id, changes, emit))) return;
+        addNames(changes);
+        result.updated++;
+      });
+      creates.forEach(({ row, task }) => {
+        if (!apply(row, () => addTask(data, task, emit, log))) return;
+        addNames(task);
+        result.added++;
+      });
+      result.failed.sort((a, b) => a.row - b.row);
+      if (result.projectsAdded.length) emit('projects.updated', { projects: data.projects });
+      if (result.assigneesAdded.length) emit('assignees.updated', { assignees: data.assignees });
+      return result;
+    }, res);
+    res.json(summary);
+  } catch (error) {
+    sendError(res, error, 'CSV import failed');
+  }
+});
+
+// GET /api/export.csv - All tasks as a spreadsheet
+app.get('/api/export.csv', async (req, res) => {
+  try {
+    const data = await readData();
+    const date = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Disposition', `attachment; filename=mission-control-tasks-${date}.csv`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(tasksToCsv(data.tasks, data.settings));
+  } catch (error) {
+    sendError(res, error, 'CSV export failed');
+  }
+});
+
+// iCalendar helpers (RFC 5545)
+const ICS_PRIORITY = { p0: 1, p1: 3, p2: 5, p3: 9 };
+
+function escapeIcsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets without splitting a UTF-8 character
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function icsTimestamp(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function taskToVevent(task, settings) {
+  const end = new Date(`${task.deadline}T00:00:00Z`);
+  end.setUTCDate(end.getUTCDate() + 1);
+  const done = isDone(task, settings);
+  const description = [
+    `Project: ${task.project}`,
+    `Assignee: ${task.assignee}`,
+    `Priority: ${task.priority.toUpperCase()}`,
+    `Status: ${(workflowFor(settings, task.project).statuses.find(s => s.id === task.status) || { name: task.status }).name}`,
+    `Progress: ${computeProgress(task, settings)}%`,
+    task.nextAction ? `Next action: ${task.nextAction}` : ''
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${task.id}@gbmm-mission-control`,
+    `DTSTAMP:${icsTimestamp(task.updatedAt || task.createdAt || new Date().toISOString())}`,
+    `DTSTART;VALUE=DATE:${icsDate(task.deadline)}`,
+    `DTEND;VALUE=DATE:${icsDate(end.toISOString().split('T')[0])}`,
+    `SUMMARY:${escapeIcsText(`${done ? '✅ ' : ''}[${task.priority.toUpperCase()}] ${task.title}`)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    `CATEGORIES:${escapeIcsText(task.project)}`,
+    `PRIORITY:${ICS_PRIORITY[task.priority] || 0}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+// GET /api/calendar.ics - Task deadlines as an all-day event feed for phone calendars.
+// Optional ?assignee= and ?project= filters; done tasks are left out unless ?includeDone=true.
+app.get('/api/calendar.ics', async (req, res) => {
+  try {
+    const { assignee, project, includeDone } = req.query;
+    const data = await readData();
+    const tasks = data.tasks.filter(task => {
+      if (!task.deadline) return false;
+      if (isDone(task, data.settings) && includeDone !== 'true') return false;
+      if (assignee && task.assignee !== assignee) return false;
+      if (project && task.project !== project) return false;
+      return true;
+    });
+
+    const name = ['GBMM Mission Control', project, assignee].filter(Boolean).join(' - ');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//GBMM//Mission Control//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeIcsText(name)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      ...tasks.flatMap(task => taskToVevent(task, data.settings)),
+      'END:VCALENDAR'
+    ];
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename=mission-control.ics');
+    res.send(lines.map(foldIcsLine).join('\r\n') + '\r\n');
+  } catch (error) {
+    sendError(res, error, 'Calendar feed failed');
+  }
+});
+
+// Export backup (admins get the whole file, members only their own notifications)
 app.get('/api/export', async (req, res) => {
   try {
-    const data = await fs.readFile(DATA_FILE, 'utf8');
+    let data = await fs.readFile(DATA_FILE, 'utf8');
+    if (req.user.role !== 'admin') {
+      const document = JSON.parse(data);
+      document.notifications = (document.notifications || []).filter(n => req.user.assignee && n.assignee === req.user.assignee);
+      data = JSON.stringify(document, null, 2);
+    }
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     res.setHeader('Content-Disposition', `attachment; filename=mission-control-backup-${timestamp}.json`);
     res.setHeader('Content-Type', 'application/json');
@@ -55,7 +1345,31 @@ app.get('/api/export', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Mission Control server running at http://localhost:${PORT}`);
-  console.log(`📊 Data file: ${DATA_FILE}`);
-});
+// Bring data.json from older versions up to date before serving: project names become project
+// objects, monthly repeats get their day of the month, and data from before workflows existed gets
+// the default workflow written out (so it can be edited in Settings) with any status it doesn't know
+// mapped onto it
+async function migrateData() {
+  const data = await readData();
+  const settings = data.settings || {};
+  const upToDate = Array.isArray(settings.workflows) && !data.tasks.some(task => validateStatus(task, settings).length);
+  const unanchored = task => task.recurrence !== anchorRecurrence(task.recurrence, task.deadline);
+  if (upToDate && !data.projects.some(project => typeof project === 'string') && !data.tasks.some(unanchored)) return;
+  await updateData((current, emit) => {
+    current.projects = upgradeProjects(current.projects);
+    current.tasks.filter(unanchored).forEach(task => { task.recurrence = anchorRecurrence(task.recurrence, task.deadline); });
+    const existing = current.settings || {};
+    const migrated = applyWorkflows(current, {
+      workflows: Array.isArray(existing.workflows) ? existing.workflows : [DEFAULT_WORKFLOW],
+      projectWorkflows: existing.projectWorkflows
+    }, emit);
+    if (migrated.length) console.log(`🔀 Moved ${migrated.length} task(s) onto their workflow's statuses`);
+  });
+}
+
+migrateData()
+  .catch(error => console.error('Data migration failed:', error))
+  .then(() => app.listen(PORT, () => {
+    console.log(`🚀 Mission Control server running at http://localhost:${PORT}`);
+    console.log(`📊 Data file: ${DATA_FILE}`);
+  }));
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, stringify, tasksToCsv, csvToTasks } = require('../csv');
+
+const settings = {};
+const existing = [{
+  id: 'demo-1', title: 'Recap', project: 'Skyvertise', assignee: 'Laith', status: 'doing', priority: 'p0',
+  deadline: '2026-02-03', effort: 'large', progress: 0, progressManual: false,
+  checklist: [{ id: 'c1', text: 'Cut', done: true }, { id: 'c2', text: 'Grade', done: false }],
+  blockedBy: [], recurrence: null, rank: 2, nextAction: '', tags: ['video'], notes: ''
+}];
+
+test('parse handles quotes, escaped quotes, line breaks in cells, CRLF and a BOM', () => {
+  assert.deepStrictEqual(parse('\uFEFFa,b\r\n"x, y","say ""hi"""\n"two\nlines",\n'), [
+    ['a', 'b'],
+    ['x, y', 'say "hi"'],
+    ['two\nlines', '']
+  ]);
+});
+
+test('stringify quotes cells and defuses formulas, including a leading minus', () => {
+  assert.strictEqual(stringify([['=1+1', '+2', '-2+3', '@cmd', 'a,b', 'plain']]), `'=1+1,'+2,'-2+3,'@cmd,"a,b",plain\r\n`);
+});
+
+test('a defused cell reads back without the quote', () => {
+  const { creates } = csvToTasks(`title,project,assignee\r\n'-2+3 review,P,L\r\n`, settings);
+  assert.strictEqual(creates[0].task.title, '-2+3 review');
+});
+
+test('csvToTasks matches header aliases and reports rows with 1-based numbers', () => {
+  const { creates, errors } = csvToTasks('Task,Client,Owner,Due Date,Stage\nCut teaser,Sky,Laith,2026-03-01,In Progress\n,Sky,Laith,,\nBad,Sky,Laith,soon,\n', settings);
+  assert.deepStrictEqual(creates.map(c => [c.row, c.task.title, c.task.project, c.task.status, c.task.deadline]), [
+    [2, 'Cut teaser', 'Sky', 'doing', '2026-03-01']
+  ]);
+  assert.deepStrictEqual(errors.map(e => e.row), [3, 4]);
+});
+
+test('csvToTasks needs a title column', () => {
+  assert.deepStrictEqual(csvToTasks('name2,project\nx,y\n', settings).errors, [{ row: 1, errors: ['a "title" column is required'] }]);
+});
+
+test('statuses are read against the project workflow by id or name', () => {
+  const custom = {
+    workflows: [{ id: 'client', name: 'Client', initial: 'brief', statuses: [
+      { id: 'brief', name: 'Brief', color: '#007aff', done: false },
+      { id: 'client-review', name: 'Client Review', color: '#ff9500', done: false },
+      { id: 'approved', name: 'Approved', color: '#34c759', done: true }
+    ] }]
+  };
+  const { creates } = csvToTasks('title,project,assignee,status\nA,P,L,Client Review\nB,P,L,\nC,P,L,done\n', custom);
+  assert.deepStrictEqual(creates.map(c => c.task.status), ['client-review', 'brief', 'approved']);
+});
+
+test('an unchanged export re-imports as no changes at all', () => {
+  const { creates, updates, errors } = csvToTasks(tasksToCsv(existing, settings), settings, existing);
+  assert.deepStrictEqual([creates, errors], [[], []]);
+  assert.deepStrictEqual(updates, [{ row: 2, id: 'demo-1', changes: {} }]);
+});
+
+test('rows for existing tasks carry only the columns that changed', () => {
+  const { updates } = csvToTasks('id,title,progress,priority\ndemo-1,Recap v2,50,p0\n', settings, existing);
+  // 50 is the checklist's computed progress, so it is not turned into a manual value
+  assert.deepStrictEqual(updates[0].changes, { title: 'Recap v2' });
+  const edited = csvToTasks('id,title,progress\ndemo-1,Recap,80\n', settings, existing).updates[0].changes;
+  assert.deepStrictEqual(edited, { progress: 80, progressManual: true });
+});
+
+test('an id repeated by a later new row is an error', () => {
+  const { creates, errors } = csvToTasks('id,title,project,assignee\nx1,A,P,L\nx1,B,P,L\n', settings, []);
+  assert.deepStrictEqual(creates.map(c => c.task.title), ['A']);
+  assert.deepStrictEqual(errors, [{ row: 3, errors: ['id x1 is already used on row 2'] }]);
+});
+
+test('ids that are not word characters and dashes are rejected', () => {
+  const { errors } = csvToTasks('id,title,project,assignee\n"a\'b",A,P,L\n', settings, []);
+  assert.deepStrictEqual(errors, [{ row: 2, errors: ['id must be a string of letters, digits, _ or -'] }]);
+});
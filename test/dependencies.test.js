@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findDependencyCycle } = require('../schema');
+
+const tasks = [
+  { id: 'a', blockedBy: [] },
+  { id: 'b', blockedBy: ['a'] },
+  { id: 'c', blockedBy: ['b'] },
+  { id: 'd', blockedBy: ['gone'] }
+];
+
+test('no cycle when the blockers never lead back to the task', () => {
+  assert.strictEqual(findDependencyCycle(tasks, 'c', ['b', 'a']), null);
+  assert.strictEqual(findDependencyCycle(tasks, 'a', []), null);
+});
+
+test('a task blocked by itself is a cycle', () => {
+  assert.deepStrictEqual(findDependencyCycle(tasks, 'a', ['a']), ['a', 'a']);
+});
+
+test('an indirect loop is returned as the path around it', () => {
+  // a waiting on c, which waits on b, which waits on a
+  assert.deepStrictEqual(findDependencyCycle(tasks, 'a', ['c']), ['a', 'c', 'b', 'a']);
+});
+
+test('unknown ids are not followed', () => {
+  assert.strictEqual(findDependencyCycle(tasks, 'a', ['d', 'missing']), null);
+});
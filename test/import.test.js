@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planImport, makeProject } = require('../schema');
+
+const task = (fields) => ({ title: 'Task', project: 'Sky', assignee: 'Laith', status: 'todo', ...fields });
+const current = {
+  tasks: [
+    task({ id: 'a', title: 'Alpha', updatedAt: '2026-10-10T00:00:00.000Z' }),
+    task({ id: 'b', title: 'Beta', updatedAt: '2026-10-10T00:00:00.000Z' })
+  ],
+  projects: [{ ...makeProject({ name: 'Sky' }), client: 'Sky LLC' }],
+  assignees: ['Laith'],
+  settings: { theme: 'dark' }
+};
+
+test('the file needs a tasks array and a known mode', () => {
+  assert.deepStrictEqual(planImport(current, {}, 'merge'), { error: 'File must contain a "tasks" array' });
+  assert.deepStrictEqual(planImport(current, { tasks: [] }, 'append'), { error: 'Mode must be "merge" or "replace"' });
+});
+
+test('merge adds new tasks, updates newer copies and skips the rest', () => {
+  const plan = planImport(current, {
+    tasks: [
+      task({ id: 'a', title: 'Alpha' }),
+      task({ id: 'b', title: 'Beta 2', updatedAt: '2026-10-01T00:00:00.000Z' }),
+      task({ id: 'c', title: 'Gamma', project: 'New', assignee: 'Harry' })
+    ]
+  }, 'merge');
+  assert.deepStrictEqual([plan.added, plan.updated, plan.removed], [1, 0, 0]);
+  assert.deepStrictEqual(plan.skipped, [{ title: 'Alpha', reason: 'unchanged' }, { title: 'Beta 2', reason: 'current copy is newer' }]);
+  assert.deepStrictEqual(plan.data.tasks.map(t => t.id), ['a', 'b', 'c']);
+  assert.deepStrictEqual([plan.projectsAdded, plan.assigneesAdded], [['New'], ['Harry']]);
+});
+
+test('replace takes the file as it is and counts what goes away', () => {
+  const plan = planImport(current, { tasks: [task({ id: 'a', title: 'Alpha 2' })] }, 'replace');
+  assert.deepStrictEqual([plan.added, plan.updated, plan.removed], [0, 1, 1]);
+  assert.deepStrictEqual(plan.data.tasks.map(t => t.title), ['Alpha 2']);
+});
+
+test('invalid tasks, bad ids and repeated ids are skipped with a reason', () => {
+  const plan = planImport(current, {
+    tasks: [task({ id: 'n1', title: '' }), task({ id: 'x"y' }), task({ id: 'n2' }), task({ id: 'n2' }), 'oops']
+  }, 'merge');
+  assert.deepStrictEqual(plan.skipped, [
+    { title: 'Task #1', reason: 'title is required' },
+    { title: 'Task', reason: 'id must be a string of letters, digits, _ or -' },
+    { title: 'Task', reason: 'duplicate id n2' },
+    { title: 'Task #5', reason: 'not an object' }
+  ]);
+  assert.strictEqual(plan.added, 1);
+});
+
+test('tasks without an id get one; statuses are checked against the workflow', () => {
+  const plan = planImport(current, { tasks: [task({ title: 'No id' }), task({ id: 'z', status: 'nonsense' })] }, 'merge');
+  assert.match(plan.data.tasks[2].id, /^task-\d+-0$/);
+  assert.match(plan.skipped[0].reason, /^status must be one of/);
+});
+
+test('older exports list projects by name; merge keeps the current details', () => {
+  const plan = planImport(current, { tasks: [], projects: ['Sky', 'Legacy'] }, 'merge');
+  assert.deepStrictEqual(plan.data.projects.map(p => [p.name, p.client]), [['Sky', 'Sky LLC'], ['Legacy', '']]);
+  assert.deepStrictEqual(plan.projectsAdded, ['Legacy']);
+});
+
+test('a project id already taken by another project gets a fresh one', () => {
+  const plan = planImport(current, { tasks: [], projects: [{ id: current.projects[0].id, name: 'Other', client: 'O' }] }, 'merge');
+  const other = plan.data.projects.find(p => p.name === 'Other');
+  assert.notStrictEqual(other.id, current.projects[0].id);
+  assert.strictEqual(other.client, 'O');
+});
+
+test('monthly repeats are anchored to the deadline day on import', () => {
+  const plan = planImport(current, { tasks: [task({ id: 'm', deadline: '2026-01-31', recurrence: { frequency: 'monthly' } })] }, 'merge');
+  assert.deepStrictEqual(plan.data.tasks[2].recurrence, { frequency: 'monthly', monthDay: 31 });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuery, matchesQuery } = require('../query');
+
+const context = { today: '2026-10-19', me: 'Laith', isDone: task => ['done', 'approved'].includes(task.status) };
+const task = (fields) => ({
+  title: 'Edit recap', project: 'FD Properties', assignee: 'Laith Ahmad', status: 'doing', priority: 'p1',
+  effort: 'medium', deadline: null, tags: ['video'], notes: '', nextAction: '', ...fields
+});
+const matches = (text, fields) => matchesQuery(task(fields), parseQuery(text), context);
+
+test('parseQuery splits fields, values, negation and free words', () => {
+  assert.deepStrictEqual(parseQuery('priority:p0,P1 status:!done Recap "next week"'), {
+    terms: [
+      { field: 'priority', values: ['p0', 'p1'], negate: false },
+      { field: 'status', values: ['done'], negate: true }
+    ],
+    words: ['recap', 'next week'],
+    errors: []
+  });
+});
+
+test('parseQuery keeps quoted field values together and resolves aliases', () => {
+  assert.deepStrictEqual(parseQuery('client:"FD Properties" owner:me').terms, [
+    { field: 'project', values: ['fd properties'], negate: false },
+    { field: 'assignee', values: ['me'], negate: false }
+  ]);
+});
+
+test('parseQuery reports malformed parts and ignores them', () => {
+  const query = parseQuery('colour:red due:soon status: recap');
+  assert.deepStrictEqual(query.errors, ['unknown field "colour"', "due: doesn't understand soon", 'status: needs a value']);
+  assert.deepStrictEqual([query.terms, query.words], [[], ['recap']]);
+});
+
+test('field values match any of the list, negation excludes them', () => {
+  assert.ok(matches('priority:p0,p1'));
+  assert.ok(!matches('priority:!p0,p1'));
+  assert.ok(matches('assignee:laith'));
+  assert.ok(matches('assignee:ahmad'));
+  assert.ok(!matches('assignee:hmad'));
+  assert.ok(matches('tag:#video'));
+});
+
+test('assignee:me needs a signed-in assignee', () => {
+  assert.ok(matches('assignee:me', { assignee: 'Laith' }));
+  assert.ok(!matchesQuery(task({ assignee: 'Laith' }), parseQuery('assignee:me'), { ...context, me: null }));
+});
+
+test('status:done matches every status that counts as done', () => {
+  assert.ok(matches('status:done', { status: 'approved' }));
+  assert.ok(!matches('status:done', { status: 'doing' }));
+  assert.ok(matches('status:!done', { status: 'doing' }));
+});
+
+test('due ranges: relative windows start today, overdue skips finished tasks', () => {
+  assert.ok(matches('due:<7d', { deadline: '2026-10-20' }));
+  assert.ok(!matches('due:<7d', { deadline: '2026-10-10' }));
+  assert.ok(!matches('due:<7d', { deadline: '2026-10-26' }));
+  assert.ok(matches('due:<=1w', { deadline: '2026-10-26' }));
+  assert.ok(matches('due:>=2026-11-01', { deadline: '2026-11-01' }));
+  assert.ok(matches('due:overdue', { deadline: '2026-10-10' }));
+  assert.ok(!matches('due:overdue', { deadline: '2026-10-10', status: 'done' }));
+  assert.ok(matches('due:none'));
+  assert.ok(!matches('due:today'));
+});
+
+test('free words search title, notes, next action, project and tags', () => {
+  assert.ok(matches('recap'));
+  assert.ok(matches('properties'));
+  assert.ok(matches('#video'));
+  assert.ok(matches('"call client"', { notes: 'Call client about it' }));
+  assert.ok(!matches('recap teaser'));
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuickAdd } = require('../quickadd');
+
+const context = { projects: ['Skyvertise', 'FD Properties'], assignees: ['Laith', 'Harry'], today: '2026-10-19', me: 'Laith' };
+
+test('a sigil followed by punctuation is left in the title', () => {
+  for (const text of ['Price check #$', 'Ping @! now', 'Ask #? and @.']) {
+    const parsed = parseQuickAdd(text, context);
+    assert.strictEqual(parsed.title, text);
+    assert.deepStrictEqual(parsed.fields, {});
+    assert.deepStrictEqual(parsed.warnings, []);
+  }
+});
+
+test('a bare weekday inside the text is not a deadline', () => {
+  const parsed = parseQuickAdd('Sat down with client', context);
+  assert.strictEqual(parsed.title, 'Sat down with client');
+  assert.strictEqual(parsed.fields.deadline, undefined);
+  assert.strictEqual(parseQuickAdd('Review tue plan', context).fields.deadline, undefined);
+});
+
+test('a weekday after a preposition or ^, or as the last word, is a deadline', () => {
+  assert.deepStrictEqual(parseQuickAdd('Call client on sat', context), {
+    title: 'Call client', fields: { deadline: '2026-10-24' }, tokens: [{ field: 'deadline', text: 'on sat' }], warnings: []
+  });
+  assert.strictEqual(parseQuickAdd('Call ^sat with Harry', context).title, 'Call with Harry');
+  assert.strictEqual(parseQuickAdd('Call ^sat with Harry', context).fields.deadline, '2026-10-24');
+  assert.strictEqual(parseQuickAdd('Edit recap #Skyvertise @Laith !p0 fri ~large', context).fields.deadline, '2026-10-23');
+  assert.strictEqual(parseQuickAdd('Meet next mon', context).fields.deadline, '2026-10-26');
+});
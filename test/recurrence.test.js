@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { nextOccurrence, anchorRecurrence } = require('../schema');
+
+test('daily rules step by their interval', () => {
+  assert.strictEqual(nextOccurrence({ frequency: 'daily' }, '2026-10-19'), '2026-10-20');
+  assert.strictEqual(nextOccurrence({ frequency: 'daily', interval: 3 }, '2026-12-30'), '2027-01-02');
+});
+
+test('weekly rules pick the next listed weekday in every interval-th week', () => {
+  // 2026-10-19 is a Monday
+  assert.strictEqual(nextOccurrence({ frequency: 'weekly', weekdays: [1, 4] }, '2026-10-19'), '2026-10-22');
+  assert.strictEqual(nextOccurrence({ frequency: 'weekly', interval: 2, weekdays: [1] }, '2026-10-19'), '2026-11-02');
+  assert.strictEqual(nextOccurrence({ frequency: 'weekly', interval: 2, weekdays: [4] }, '2026-10-19'), '2026-10-22');
+  assert.strictEqual(nextOccurrence({ frequency: 'weekly' }, '2026-10-19'), '2026-10-26');
+});
+
+test('monthly rules fall on monthDay, clamped to short months', () => {
+  assert.strictEqual(nextOccurrence({ frequency: 'monthly', monthDay: 15 }, '2026-01-10'), '2026-01-15');
+  assert.strictEqual(nextOccurrence({ frequency: 'monthly', monthDay: 15 }, '2026-01-15'), '2026-02-15');
+  assert.strictEqual(nextOccurrence({ frequency: 'monthly', interval: 3, monthDay: 31 }, '2026-01-31'), '2026-04-30');
+  assert.strictEqual(nextOccurrence({ frequency: 'monthly', monthDay: 29 }, '2028-01-29'), '2028-02-29');
+});
+
+test('a month-end rule goes back to the 31st after a short month', () => {
+  const rule = anchorRecurrence({ frequency: 'monthly' }, '2026-01-31');
+  assert.deepStrictEqual(rule, { frequency: 'monthly', monthDay: 31 });
+  const dates = [];
+  for (let date = '2026-01-31'; dates.length < 4;) dates.push(date = nextOccurrence(rule, date));
+  assert.deepStrictEqual(dates, ['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+});
+
+test('anchorRecurrence leaves other rules alone', () => {
+  const weekly = { frequency: 'weekly', weekdays: [1] };
+  const anchored = { frequency: 'monthly', monthDay: 5 };
+  assert.strictEqual(anchorRecurrence(weekly, '2026-01-31'), weekly);
+  assert.strictEqual(anchorRecurrence(anchored, '2026-01-31'), anchored);
+  assert.strictEqual(anchorRecurrence(null, '2026-01-31'), null);
+});
+
+test('nothing comes after until', () => {
+  assert.strictEqual(nextOccurrence({ frequency: 'daily', until: '2026-10-20' }, '2026-10-19'), '2026-10-20');
+  assert.strictEqual(nextOccurrence({ frequency: 'daily', until: '2026-10-19' }, '2026-10-19'), null);
+  assert.strictEqual(nextOccurrence({ frequency: 'monthly', monthDay: 31, until: '2026-02-27' }, '2026-01-31'), null);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_WORKFLOW, mapStatus, migrateStatuses, validateWorkflows } = require('../schema');
+
+const status = (id, done = false) => ({ id, name: id, color: '#007aff', done });
+const client = { id: 'client', name: 'Client', statuses: [status('brief'), status('client-review'), status('approved', true)] };
+const finished = { id: 'finished', name: 'Finished', statuses: [status('shipped', true)] };
+
+test('mapStatus keeps statuses the target workflow has', () => {
+  assert.strictEqual(mapStatus('done', DEFAULT_WORKFLOW, { ...client, statuses: [...client.statuses, status('done', true)] }), 'done');
+});
+
+test('mapStatus moves done statuses to a done status and open ones by position', () => {
+  assert.strictEqual(mapStatus('done', DEFAULT_WORKFLOW, client), 'approved');
+  assert.strictEqual(mapStatus('backlog', DEFAULT_WORKFLOW, client), 'brief');
+  assert.strictEqual(mapStatus('todo', DEFAULT_WORKFLOW, client), 'client-review');
+  // Past the last open status it stays on the last one
+  assert.strictEqual(mapStatus('review', DEFAULT_WORKFLOW, client), 'client-review');
+});
+
+test('mapStatus puts unknown statuses first and everything in a done-only workflow', () => {
+  assert.strictEqual(mapStatus('nonsense', DEFAULT_WORKFLOW, client), 'brief');
+  assert.strictEqual(mapStatus('doing', DEFAULT_WORKFLOW, finished), 'shipped');
+});
+
+test('migrateStatuses moves only tasks whose status is gone and returns them', () => {
+  const previous = { workflows: [DEFAULT_WORKFLOW, client], projectWorkflows: { Sky: 'client' } };
+  const settings = { workflows: [DEFAULT_WORKFLOW, client], projectWorkflows: { FD: 'client' } };
+  const tasks = [
+    { id: 'a', project: 'FD', status: 'doing' },
+    { id: 'b', project: 'FD', status: 'brief' },
+    { id: 'c', project: 'Sky', status: 'approved' },
+    { id: 'd', project: 'Other', status: 'review' }
+  ];
+  const moved = migrateStatuses(tasks, settings, previous);
+  assert.deepStrictEqual(moved.map(t => t.id), ['a', 'c']);
+  assert.deepStrictEqual(tasks.map(t => t.status), ['client-review', 'brief', 'done', 'review']);
+});
+
+test('validateWorkflows checks ids, statuses and project assignments', () => {
+  assert.deepStrictEqual(validateWorkflows({ workflows: [DEFAULT_WORKFLOW, client] }), []);
+  assert.deepStrictEqual(validateWorkflows({ workflows: [] }), ['workflows must be a non-empty array']);
+  assert.deepStrictEqual(validateWorkflows({
+    workflows: [{ id: 'x', name: 'X', statuses: [status('Open'), status('a'), status('a')] }],
+    projectWorkflows: { Sky: 'missing' }
+  }), [
+    'workflow "X": status ids must be lowercase letters, digits and dashes',
+    'workflow "X": duplicate status a',
+    'workflow "X": needs a status that counts as done',
+    'projectWorkflows: Sky uses unknown workflow missing'
+  ]);
+});